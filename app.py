@@ -1,6 +1,5 @@
 import os
 import requests
-import re
 from flask import Flask, render_template, request, Response, stream_with_context, send_from_directory
 
 app = Flask(__name__)
@@ -28,43 +27,25 @@ VOICE_MAP = {
     "echo": "zh-CN-liaoning-XiaobeiNeural"
 }
 
-def clean_text(text, options):
-    if not text:
-        return text
-        
-    if options.get('removeMarkdown'):
-        # Remove markdown syntax but keep the text
-        text = re.sub(r'\[([^\]]+)\]\([^\)]+\)', r'\1', text) # Links
-        text = re.sub(r'(\*\*|__)(.*?)\1', r'\2', text)     # Bold
-        text = re.sub(r'(\*|_)(.*?)\1', r'\2', text)       # Italic
-        text = re.sub(r'#{1,6}\s?', '', text)              # Headers
-        text = re.sub(r'`{1,3}.*?`{1,3}', '', text, flags=re.DOTALL) # Code blocks
-        
-    if options.get('removeEmoji'):
-        # More comprehensive emoji removal
-        text = text.encode('utf-16', 'surrogatepass').decode('utf-16')
-        text = re.sub(r'[\U00010000-\U0010ffff]', '', text)
-        
-    if options.get('removeUrl'):
-        text = re.sub(r'https?://\S+|www\.\S+', '', text)
-        
-    if options.get('removeCitations'):
-        text = re.sub(r'\[\d+\]', '', text)
-        
-    if options.get('removeWhitespace'):
-        # Remove ALL whitespace including newlines
-        text = re.sub(r'\s+', '', text)
-    else:
-        # Just normalize multiple spaces/newlines if not removing all
-        text = re.sub(r' +', ' ', text)
-        
-    custom_keywords = options.get('customKeywords', '')
-    if custom_keywords:
-        keywords = [k.strip() for k in custom_keywords.split(',') if k.strip()]
-        for kw in keywords:
-            text = text.replace(kw, '')
-            
-    return text.strip()
+# Page cleaning options -> worker cleaning_options.
+# Cleaning itself runs in the worker so both front ends share one rule engine.
+# Only the page's checkboxes are forwarded: /generate is unauthenticated and uses the
+# server's API key, so callers must not be able to submit presets or regex rules.
+CLEANING_OPTION_MAP = {
+    "removeMarkdown": "remove_markdown",
+    "removeEmoji": "remove_emoji",
+    "removeUrl": "remove_urls",
+    "removeCitations": "remove_citation_numbers",
+    "removeWhitespace": "remove_line_breaks",
+    "customKeywords": "custom_keywords"
+}
+
+def to_worker_cleaning_options(options):
+    return {
+        CLEANING_OPTION_MAP[key]: value
+        for key, value in (options or {}).items()
+        if key in CLEANING_OPTION_MAP
+    }
 
 @app.route('/')
 def index():
@@ -77,13 +58,10 @@ def generate_speech():
     voice_key = data.get('voice', 'shimmer')
     speed = float(data.get('speed', 1.0))
     pitch = float(data.get('pitch', 1.0))
-    cleaning_options = data.get('cleaningOptions', {})
-    
-    # Perform advanced text cleaning in Python
-    text = clean_text(text, cleaning_options)
+    cleaning_options = to_worker_cleaning_options(data.get('cleaningOptions', {}))
     
-    if not text:
-        return {"error": "清理后的文本为空或输入文本缺失"}, 400
+    if not text.strip():
+        return {"error": "输入文本缺失"}, 400
 
     # Get the actual Microsoft voice name
     final_voice = VOICE_MAP.get(voice_key, voice_key)
@@ -99,7 +77,8 @@ def generate_speech():
         "voice": final_voice,
         "speed": speed,
         "pitch": pitch,
-        "stream": True
+        "stream": True,
+        "cleaning_options": cleaning_options
     }
 
     try:
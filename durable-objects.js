@@ -0,0 +1,195 @@
+/**
+ * Cloudflare Durable Objects - 限流计数器与异步任务状态
+ *
+ * @description worker.js 中需要原子"读-改-写"的状态，Workers KV 在并发请求下会丢失更新。
+ * 本文件以模块格式单独部署，主 Worker 通过 durable_objects.bindings 中的 script_name 绑定:
+ * - Counter 绑定为 TTS_COUNTER: 每分钟请求数和每日字符额度，每个计数器键一个实例
+ * - JobStore 绑定为 TTS_JOB_STORE: 异步任务记录及批次的领取与租约，每个任务一个实例，
+ *   需要同时绑定 TTS_JOB_QUEUE 队列 (producer)，用于重新投递停滞的任务
+ * 同一实例的请求由运行时串行处理 (存储操作期间不会交错)。
+ */
+
+export class Counter {
+  /**
+   * @param {DurableObjectState} state - 对象状态
+   */
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  /**
+   * 累加计数: POST { amount, limit, ttl }
+   * 设置 limit 且累加后超限时不修改计数；amount 为负数表示退回，结果不低于 0。
+   * 首次写入时按 ttl (秒) 设置清理时间，窗口结束后对象数据自动删除。
+   * @param {Request} request - 来自主 Worker 的请求
+   * @returns {Promise<Response>} { allowed, value }
+   */
+  async fetch(request) {
+    if (request.method !== "POST") {
+      return new Response("不允许的方法", { status: 405 });
+    }
+
+    const { amount = 0, limit = null, ttl = 0 } = await request.json();
+    const value = (await this.storage.get("value")) || 0;
+    if (limit !== null && amount > 0 && value + amount > limit) {
+      return jsonResponse({ allowed: false, value });
+    }
+
+    const next = Math.max(0, value + amount);
+    await this.storage.put("value", next);
+    if (ttl > 0 && (await this.storage.getAlarm()) === null) {
+      await this.storage.setAlarm(Date.now() + ttl * 1000);
+    }
+    return jsonResponse({ allowed: true, value: next });
+  }
+
+  /**
+   * 计数窗口结束，删除对象数据
+   */
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+export class JobStore {
+  /**
+   * @param {DurableObjectState} state - 对象状态
+   * @param {Object} env - 绑定，需包含 TTS_JOB_QUEUE
+   */
+  constructor(state, env) {
+    this.storage = state.storage;
+    this.env = env;
+  }
+
+  /**
+   * 任务操作: POST /<action>，返回 { job }，操作未生效时 job 为 null
+   * - create { job, stall }: 保存新任务，stall (秒) 内无提交时由 alarm 重新投递
+   * - get: 读取任务
+   * - claim { sequence }: 序号与当前一致、任务未结束且没有未到期的租约时领取批次，
+   *   序号加一并设置租约，返回领取后的任务 (job.sequence 即领取序号)
+   * - commit { sequence, patch }: 仍持有该序号时合并批次结果并释放租约
+   * - cancel: 取消未结束的任务
+   * - webhook { webhook }: 更新通知投递状态
+   * @param {Request} request - 来自主 Worker 的请求
+   * @returns {Promise<Response>} { job }
+   */
+  async fetch(request) {
+    if (request.method !== "POST") {
+      return new Response("不允许的方法", { status: 405 });
+    }
+
+    const action = new URL(request.url).pathname.slice(1);
+    const body = await request.json();
+    const now = Math.floor(Date.now() / 1000);
+
+    if (action === "create") {
+      await this.storage.put({ job: body.job, stall: body.stall });
+      await this.storage.setAlarm((now + body.stall) * 1000);
+      return jsonResponse({ job: body.job });
+    }
+
+    const job = (await this.storage.get("job")) || null;
+    if (action === "get" || !job) {
+      return jsonResponse({ job });
+    }
+
+    switch (action) {
+      case "claim":
+        if (!isJobActive(job) || job.sequence !== body.sequence || job.lease_until > now) {
+          return jsonResponse({ job: null });
+        }
+        job.sequence++;
+        job.status = "processing";
+        job.lease_until = now + (await this.storage.get("stall"));
+        return jsonResponse({ job: await this.save(job, now) });
+
+      case "commit":
+        if (!isJobActive(job) || job.sequence !== body.sequence) {
+          return jsonResponse({ job: null });
+        }
+        Object.assign(job, body.patch, { lease_until: 0 });
+        return jsonResponse({ job: await this.save(job, now) });
+
+      case "cancel":
+        if (!isJobActive(job)) {
+          return jsonResponse({ job });
+        }
+        job.status = "cancelled";
+        job.lease_until = 0;
+        return jsonResponse({ job: await this.save(job, now) });
+
+      case "webhook":
+        job.webhook = body.webhook;
+        await this.storage.put("job", job);
+        return jsonResponse({ job });
+
+      default:
+        return new Response("未找到", { status: 404 });
+    }
+  }
+
+  /**
+   * 保存任务并重设 alarm: 未结束的任务在租约到期或 stall 秒无进展时重新投递，已结束的任务到期后删除
+   * @param {Object} job - 任务记录
+   * @param {number} now - 当前时间 (秒)
+   * @returns {Promise<Object>} 任务记录
+   */
+  async save(job, now) {
+    job.updated_at = now;
+    await this.storage.put("job", job);
+    const wakeAt = isJobActive(job)
+      ? job.lease_until || now + (await this.storage.get("stall"))
+      : job.expires_at;
+    await this.storage.setAlarm(wakeAt * 1000);
+    return job;
+  }
+
+  /**
+   * 停滞检测: 任务到期后删除对象数据；未结束的任务序号加一 (旧消息和超时的批次随之作废)，
+   * 并向 TTS_JOB_QUEUE 发送 { job_id, sequence } 重新投递。发送失败时运行时会重试 alarm
+   */
+  async alarm() {
+    const job = await this.storage.get("job");
+    const now = Math.floor(Date.now() / 1000);
+    if (!job || now >= job.expires_at) {
+      await this.storage.deleteAll();
+      return;
+    }
+    if (!isJobActive(job)) {
+      await this.storage.setAlarm(job.expires_at * 1000);
+      return;
+    }
+
+    job.sequence++;
+    job.lease_until = 0;
+    await this.save(job, now);
+    await this.env.TTS_JOB_QUEUE.send({ job_id: job.id, sequence: job.sequence });
+  }
+}
+
+// 对象只通过 Durable Object 绑定访问，不对外提供 HTTP 接口
+export default {
+  async fetch() {
+    return new Response("未找到", { status: 404 });
+  }
+};
+
+/**
+ * 生成 JSON 响应
+ * @param {Object} body - 响应内容
+ * @returns {Response} JSON 响应
+ */
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+/**
+ * 判断任务是否仍在排队或处理中 (与 worker.js 中的同名函数一致)
+ * @param {Object} job - 任务记录
+ * @returns {boolean} 是否未结束
+ */
+function isJobActive(job) {
+  return job.status === "queued" || job.status === "processing";
+}
@@ -9,9 +9,24 @@
  * @features
  * - 支持流式和非流式 TTS 输出
  * - 自动文本清理和分块处理
- * - 智能批处理避免 Cloudflare 限制
+ * - 滑动窗口并发调度，避免 Cloudflare 限制
  * - 兼容 OpenAI TTS API 格式
  * - 支持多种中英文语音
+ * - 支持 mp3/opus/wav/pcm 多种输出格式
+ * - 按 SSML 与输出格式缓存音频块，重复内容无需再次合成
+ * - 支持原始 SSML 输入 (白名单校验，按元素边界分块)
+ * - 支持多人对话脚本合成 (/v1/audio/dialogue)
+ * - 可返回按音频时长估算的单词与句子时间戳
+ * - 生成与音频对齐的 SRT/WebVTT 字幕 (/v1/audio/subtitles)
+ * - 长文档异步任务 (/v1/audio/jobs)，通过队列分批合成
+ * - 批量合成短文本 (/v1/audio/speech/batch)，返回 JSON 或 ZIP
+ * - 按密钥或按请求配置发音词典 (/v1/lexicon)，渲染为 <sub>/<phoneme>
+ * - 可选的数字、日期、时间、单位与货币读法规范化，按语音语言输出中文或英文
+ * - 自动检测中英日韩文字片段并切换对应语音 (auto_language)
+ * - Markdown 输入按结构朗读 (标题停顿、列表编号、表格逐行、代码块提示)
+ * - HTML 输入提取正文，EPUB 按章节合成 (/v1/audio/epub)，输出分章压缩包、带章节标记的 MP3 或异步任务
+ * - 文本清理支持有序的正则/字面替换规则与内置阶段开关，以及服务端命名预设 (/v1/cleaning/presets)
+ * - 清理与分块预览 (/v1/audio/preview)，返回各文本块的原文区间、SSML 与估算时长，不请求 Microsoft
  */
 
 // =================================================================================
@@ -19,22 +34,196 @@
 // =================================================================================
 
 // API 密钥配置
-const API_KEY = globalThis.API_KEY;
-
-// 批处理配置 - 控制并发请求数量以避免 Cloudflare 限制
-const DEFAULT_CONCURRENCY = 10; // 现在作为批处理大小使用
+const API_KEY = globalThis.API_KEY; // 单密钥 (不限额)，与 API_KEYS 可同时使用
+
+// 多密钥配置 - JSON 数组，每项为 { key, name, requests_per_minute, chars_per_day, admin, disabled, webhook_secret }
+// 也可写入 kvStore 的 config:api_keys，无需重新部署即可增删、吊销密钥或调整额度
+const API_KEYS = globalThis.API_KEYS;
+const API_KEYS_KV_KEY = "config:api_keys";
+const CONFIG_CACHE_TTL = 60 * 1000; // kvStore 中配置 (密钥表、别名表等) 的内存缓存时间 (毫秒)
+
+// 用量统计配置 - 每次语音合成写入一条记录到 kvStore，供 /v1/usage 汇总
+const USAGE_RETENTION_DAYS = Number(globalThis.USAGE_RETENTION_DAYS ?? 90); // 记录保留天数
+const USAGE_MAX_RANGE_DAYS = 31; // 单次查询最多覆盖的天数
+const USAGE_ERROR_MAX_LENGTH = 200; // 记录中错误信息的最大长度
+// 计入用量的合成接口，合成开始前被拒绝 (400/429) 的请求也会记录
+const USAGE_PATHS = ["/v1/audio/speech", "/v1/audio/speech/batch", "/v1/audio/jobs", "/v1/audio/subtitles", "/v1/audio/dialogue", "/v1/audio/epub"];
+
+// 语音目录配置 - 从 Microsoft 拉取完整语音列表，失败时使用内置快照
+const VOICE_CATALOG_TTL = 24 * 60 * 60;        // 目录缓存时间 (秒)
+const VOICE_CATALOG_FALLBACK_TTL = 5 * 60;     // 上游不可用时快照的内存缓存时间 (秒)
+const VOICE_CATALOG_KV_KEY = "catalog:voices";
+
+// 并发配置 - 控制同时进行的上游请求数量以避免 Cloudflare 限制
+const DEFAULT_CONCURRENCY = 10; // 滑动窗口大小，始终保持最多 N 个请求在执行
 const DEFAULT_CHUNK_SIZE = 300; // 默认文本分块大小
-
-// OpenAI 语音映射到 Microsoft 语音
+const DEFAULT_DIALOGUE_PAUSE = 500;  // 对话轮次之间的默认停顿 (毫秒)
+const MAX_DIALOGUE_PAUSE = 5000;     // SSML <break> 支持的最长停顿 (毫秒)
+const DEFAULT_CUE_CHARS = 42;        // 每条字幕默认最大字符数
+const MAX_LEXICON_ENTRIES = 1000;    // 每个密钥的发音词典最多条目数
+const MAX_EPUB_SIZE = 20 * 1024 * 1024; // EPUB 上传文件最大字节数
+
+// 单次请求的子请求上限 (Cloudflare 免费版为 50，付费版可通过 MAX_SUBREQUESTS 调高)
+const MAX_SUBREQUESTS = Number(globalThis.MAX_SUBREQUESTS) || 50;
+// 批量合成单次最多条目数 - 每个未命中缓存的条目至少占用一个子请求，
+// 另预留合成用的 Token 以及冷启动时获取语音目录 (列表及其 Token) 所需的子请求
+const MAX_BATCH_ITEMS = Math.max(1, MAX_SUBREQUESTS - 3);
+
+// 重试配置 - 上游偶发 429/5xx 时按指数退避重试单个文本块
+const MAX_CHUNK_RETRIES = Number(globalThis.MAX_CHUNK_RETRIES ?? 3); // 单个文本块最大重试次数
+const RETRY_BUDGET = Number(globalThis.RETRY_BUDGET ?? 10);          // 单次请求内所有文本块共享的重试总数
+const RETRY_BASE_DELAY = 500;  // 退避基础延迟 (毫秒)
+const RETRY_MAX_DELAY = 8000;  // 单次退避最大延迟 (毫秒)
+
+// 音频缓存配置 - 相同 SSML 与输出格式的音频块直接复用，不再请求上游
+// 优先使用 Cache API，运行环境不支持时退回 kvStore
+const AUDIO_CACHE_TTL = Number(globalThis.AUDIO_CACHE_TTL ?? 7 * 24 * 60 * 60); // 缓存有效期 (秒)，0 表示禁用
+const AUDIO_CACHE_PREFIX = "audio:";
+
+// 持久化存储 - 绑定名为 TTS_KV 的 Workers KV 命名空间以跨 isolate 共享数据
+// 未绑定时退化为仅在当前 isolate 内有效的内存存储 (同时作为本地离线测试的替身)
+const kvStore = globalThis.TTS_KV || createMemoryKV();
+
+// 限流与额度计数器 - 需要原子的"检查并累加"，绑定名为 TTS_COUNTER 的 Durable Object 命名空间
+// (Counter 类见 durable-objects.js，以模块格式单独部署，本 Worker 通过 script_name 绑定)；
+// 未绑定时退化为 kvStore 上的读-改-写，并发请求的计数是近似值；计数器不可用时限流请求返回 503
+const counterStore = globalThis.TTS_COUNTER ? createDurableCounter(globalThis.TTS_COUNTER) : createKVCounter(kvStore);
+
+// 异步任务配置 - 长文档按批次在多次队列调用中合成，每批使用独立的子请求额度
+// 绑定名为 TTS_JOB_QUEUE 的 Queue 并将本 Worker 设为其消费者；
+// 未绑定时退化为在当前 isolate 内顺序执行的内存队列 (仅适用于本地测试)
+const jobQueue = globalThis.TTS_JOB_QUEUE || createMemoryQueue(messages => handleJobMessages(messages));
+const JOB_TTL = Number(globalThis.JOB_TTL ?? 24 * 60 * 60);                  // 任务及结果保留时间 (秒)
+const MAX_JOB_CHARACTERS = Number(globalThis.MAX_JOB_CHARACTERS) || 500000;  // 单个任务最大字符数
+// 每批最多合成的文本块数 (预留 Token 和重试)；同一次队列调用中的多条消息共用子请求额度，后续消息的批次相应缩小
+const JOB_BATCH_SIZE = Math.max(1, MAX_SUBREQUESTS - RETRY_BUDGET - 2);
+const JOB_MAX_ATTEMPTS = 3;          // 单批失败后最多尝试次数
+const JOB_STALL_TIMEOUT = 5 * 60;    // 批次租约时长 (秒)；任务超过该时间无进展时重新投递
+
+// 任务状态 - 任务记录及批次的领取、提交和取消需要原子执行，绑定名为 TTS_JOB_STORE 的 Durable Object 命名空间
+// (JobStore 类见 durable-objects.js)，停滞的任务由对象的 alarm 重新投递到 TTS_JOB_QUEUE；
+// 未绑定时退化为当前 isolate 内的内存实现 (仅适用于本地测试)
+const jobStore = globalThis.TTS_JOB_STORE ? createDurableJobStore(globalThis.TTS_JOB_STORE) : createMemoryJobStore();
+
+// Webhook 配置 - 任务结束后向 callback_url (仅限 https 公网域名) 推送 HMAC 签名的通知
+// 签名密钥取自密钥表中该密钥的 webhook_secret，未配置时使用 WEBHOOK_SECRET
+const WEBHOOK_SECRET = globalThis.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS = 5;      // 最多投递次数
+const WEBHOOK_RETRY_DELAY = 30;      // 首次重试延迟 (秒)，之后按指数递增
+const WEBHOOK_TIMEOUT = 10 * 1000;   // 单次投递超时 (毫秒)
+// 本地调试用的回调主机白名单 (逗号分隔，可带端口，如 "localhost:8787,127.0.0.1")，
+// 列出的主机可使用 http、IP 地址和本机地址；生产环境应保持为空
+const WEBHOOK_ALLOW_HOSTS = String(globalThis.WEBHOOK_ALLOW_HOSTS || "")
+  .split(",")
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// OpenAI 语音映射到 Microsoft 语音 (默认别名表)
 const OPENAI_VOICE_MAP = {
   "shimmer": "zh-CN-XiaoxiaoNeural",    // 温柔女声 -> 晓晓
   "alloy": "zh-CN-YunyangNeural",       // 专业男声 -> 云扬  
   "fable": "zh-CN-YunjianNeural",       // 激情男声 -> 云健
   "onyx": "zh-CN-XiaoyiNeural",         // 活泼女声 -> 晓伊
   "nova": "zh-CN-YunxiNeural",          // 阳光男声 -> 云希
-  "echo": "zh-CN-liaoning-XiaobeiNeural" // 东北女声 -> 晓北
+  "echo": "zh-CN-liaoning-XiaobeiNeural", // 东北女声 -> 晓北
+  "ash": "zh-CN-YunzeNeural",           // 沉稳男声 -> 云泽
+  "coral": "zh-CN-XiaohanNeural",       // 温暖女声 -> 晓涵
+  "sage": "zh-CN-XiaoruiNeural",        // 知性女声 -> 晓睿
+  "ballad": "zh-CN-YunfengNeural",      // 抒情男声 -> 云枫
+  "verse": "zh-CN-YunxiaNeural"         // 少年男声 -> 云夏
+};
+const DEFAULT_VOICE_ALIAS = "shimmer"; // 未指定 voice 且 model 不含别名时使用
+
+// 自定义别名表 - JSON 对象 { 别名: Microsoft 语音名 }，与默认别名表合并 (同名覆盖)
+// 也可写入 kvStore 的 config:voice_aliases，无需修改代码或重新部署
+const VOICE_ALIASES = globalThis.VOICE_ALIASES;
+const VOICE_ALIASES_KV_KEY = "config:voice_aliases";
+
+// 文本清理预设 - 请求中以 cleaning_options.preset 引用，预设的选项作为请求选项的默认值
+// 可通过 CLEANING_PRESETS (JSON 对象 { 预设名: 清理选项 }) 或 kvStore 的 config:cleaning_presets 覆盖或补充
+const DEFAULT_CLEANING_PRESETS = {
+  llm_chat: {
+    description: "大模型对话输出: 去掉 <think> 推理过程、引用标记和 Markdown 格式",
+    rules: [
+      { type: "regex", pattern: "<think>[\\s\\S]*?</think>" },
+      { type: "regex", pattern: "【\\d+(?:†[^】]*)?】" },
+      { type: "regex", pattern: "\\[\\^?\\d+\\]" }
+    ]
+  },
+  minimal: {
+    description: "仅合并空白，保留原文其余内容",
+    remove_markdown: false,
+    remove_emoji: false,
+    remove_urls: false,
+    remove_citation_numbers: false
+  }
+};
+const CLEANING_PRESETS = globalThis.CLEANING_PRESETS;
+const CLEANING_PRESETS_KV_KEY = "config:cleaning_presets";
+const MAX_CLEANING_RULES = 50;          // 单次请求 (含预设) 的清理规则数上限
+const MAX_CLEANING_PATTERN_LENGTH = 500; // 单条正则规则的长度上限
+const MAX_CLEANING_REGEX_COST = 2.5e8;   // 请求中自定义正则规则的估算回溯步数上限 (见 checkCleaningCost)
+const MAX_REGEX_ATOM_CHARSETS = 16;      // 单次请求判断量词字符集是否相交时最多新计算的字符集数
+
+// 自动语言切换 - auto_language 模式下各语言片段使用的语音 { 语言代码: 语音名或别名 }
+// 可通过 LANGUAGE_VOICES (JSON 对象) 覆盖或补充；请求的 voice 朗读其自身语言的片段，
+// 请求中的 language_voices 优先级最高
+const DEFAULT_LANGUAGE_VOICES = {
+  zh: "zh-CN-XiaoxiaoNeural",
+  en: "en-US-JennyNeural",
+  ja: "ja-JP-NanamiNeural",
+  ko: "ko-KR-SunHiNeural"
+};
+const LANGUAGE_VOICES = globalThis.LANGUAGE_VOICES;
+const MIN_LANGUAGE_RUN_WORDS = 2; // 少于该词数 (拉丁字母按单词、中日韩文字按字计) 的片段并入相邻片段，避免为单个词频繁切换语音
+
+// 原始 PCM 输出格式 (按采样率)，wav 与 pcm 共用
+const PCM_OUTPUT_FORMATS = {
+  8000: "raw-8khz-16bit-mono-pcm",
+  16000: "raw-16khz-16bit-mono-pcm",
+  22050: "raw-22050hz-16bit-mono-pcm",
+  24000: "raw-24khz-16bit-mono-pcm",
+  44100: "raw-44100hz-16bit-mono-pcm",
+  48000: "raw-48khz-16bit-mono-pcm"
+};
+
+// OpenAI response_format 映射到 Microsoft 输出格式
+// mp3 的 variants 按 采样率 -> 比特率(kbps) -> 输出格式 组织，第一个比特率为默认值
+const AUDIO_FORMATS = {
+  mp3: {
+    contentType: "audio/mpeg",
+    defaultSampleRate: 24000,
+    variants: {
+      16000: { 32: "audio-16khz-32kbitrate-mono-mp3", 64: "audio-16khz-64kbitrate-mono-mp3", 128: "audio-16khz-128kbitrate-mono-mp3" },
+      24000: { 48: "audio-24khz-48kbitrate-mono-mp3", 96: "audio-24khz-96kbitrate-mono-mp3", 160: "audio-24khz-160kbitrate-mono-mp3" },
+      48000: { 96: "audio-48khz-96kbitrate-mono-mp3", 192: "audio-48khz-192kbitrate-mono-mp3" }
+    }
+  },
+  opus: {
+    contentType: "audio/ogg",
+    defaultSampleRate: 24000,
+    variants: {
+      16000: "ogg-16khz-16bit-mono-opus",
+      24000: "ogg-24khz-16bit-mono-opus",
+      48000: "ogg-48khz-16bit-mono-opus"
+    }
+  },
+  wav: {
+    contentType: "audio/wav",
+    defaultSampleRate: 24000,
+    variants: PCM_OUTPUT_FORMATS,
+    wrapWav: true // 上游返回裸 PCM，由 Worker 统一写入单个 RIFF 头
+  },
+  pcm: {
+    contentType: "audio/pcm",
+    defaultSampleRate: 24000,
+    variants: PCM_OUTPUT_FORMATS
+  }
 };
 
+// OpenAI 支持但 Microsoft 语音服务无对应编码的格式
+const UNSUPPORTED_AUDIO_FORMATS = ["aac", "flac"];
+
 const htmlContent = getHtmlContent();
 
 // =================================================================================
@@ -45,6 +234,11 @@ addEventListener("fetch", event => {
   event.respondWith(handleRequest(event));
 });
 
+// 异步任务队列消费者
+addEventListener("queue", event => {
+  event.waitUntil(handleJobMessages(event.messages));
+});
+
 /**
  * 处理所有传入的 HTTP 请求
  * @param {FetchEvent} event - Cloudflare Worker 事件对象
@@ -76,23 +270,53 @@ async function handleRequest(event) {
     });
   }
 
-  // API 密钥验证
-  if (API_KEY) {
-    const authHeader = request.headers.get("authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ") || authHeader.slice(7) !== API_KEY) {
+  try {
+    const startedAt = Date.now();
+    // API 密钥验证
+    const caller = await authenticateRequest(request);
+    if (!caller) {
       return errorResponse("无效的 API 密钥", 401, "invalid_api_key");
     }
-  }
 
+    // 每分钟请求数限制
+    const rateLimited = await checkRequestRateLimit(caller);
+    if (rateLimited) {
+      recordRejectedRequest(event, url, caller, rateLimited, startedAt);
+      return rateLimited;
+    }
 
-  try {
-    // 路由分发
-    if (url.pathname === "/v1/audio/speech") return await handleSpeechRequest(request);
-    if (url.pathname === "/v1/models") return handleModelsRequest();
+    const response = await routeApiRequest(event, url, caller);
+    recordRejectedRequest(event, url, caller, response, startedAt);
+    return withHeaders(response, caller.rateLimitHeaders);
   } catch (err) {
     console.error("请求处理器错误:", err);
     return errorResponse(err.message, 500, "internal_server_error");
   }
+}
+
+/**
+ * API 路由分发 (已通过鉴权)
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象
+ * @param {URL} url - 请求 URL
+ * @param {Object} caller - 调用方信息
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function routeApiRequest(event, url, caller) {
+  const request = event.request;
+  if (url.pathname === "/v1/audio/speech/batch") return await handleBatchSpeechRequest(request, caller, event);
+  if (url.pathname === "/v1/audio/speech") return await handleSpeechRequest(request, caller, event);
+  if (url.pathname === "/v1/audio/jobs") return await handleSpeechRequest(request, caller, event, { job: true });
+  const jobMatch = /^\/v1\/audio\/jobs\/([\w-]+)(\/content)?$/.exec(url.pathname);
+  if (jobMatch) return await handleJobRequest(request, caller, event, jobMatch[1], !!jobMatch[2]);
+  if (url.pathname === "/v1/audio/subtitles") return await handleSpeechRequest(request, caller, event, { subtitles: true });
+  if (url.pathname === "/v1/audio/preview") return await handleSpeechRequest(request, caller, event, { preview: true });
+  if (url.pathname === "/v1/audio/dialogue") return await handleDialogueRequest(request, caller, event);
+  if (url.pathname === "/v1/audio/epub") return await handleEpubRequest(request, caller, event);
+  if (url.pathname === "/v1/models") return await handleModelsRequest();
+  if (url.pathname === "/v1/usage") return await handleUsageRequest(request, url, caller);
+  if (url.pathname === "/v1/voices") return await handleVoicesRequest(request, url);
+  if (url.pathname === "/v1/cleaning/presets") return await handleCleaningPresetsRequest(request);
+  if (url.pathname === "/v1/lexicon") return await handleLexiconRequest(request, url, caller);
 
   return errorResponse("未找到", 404, "not_found");
 }
@@ -114,10 +338,20 @@ function handleOptions(request) {
 
 /**
  * 处理语音合成请求
+ * 字幕接口与之共用参数和合成流程，合成后只返回与音频对齐的字幕文件；
+ * 音频块会写入缓存，随后以相同参数请求 /v1/audio/speech 不会重复合成。
+ * 预览接口执行相同的清理与分块，返回各文本块及其 SSML，不请求 Microsoft 也不计入额度。
  * @param {Request} request - HTTP 请求对象
- * @returns {Promise<Response>} 语音数据响应
+ * @param {Object} caller - 调用方信息
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象，用于在响应后写入用量记录
+ * @param {Object} [options] - 处理选项
+ * @param {boolean} [options.subtitles] - 是否返回字幕 (/v1/audio/subtitles)
+ * @param {boolean} [options.job] - 是否创建异步任务 (/v1/audio/jobs)
+ * @param {boolean} [options.preview] - 是否只返回清理与分块预览 (/v1/audio/preview)
+ * @returns {Promise<Response>} 语音数据、字幕、任务信息或预览响应
  */
-async function handleSpeechRequest(request) {
+async function handleSpeechRequest(request, caller, event, options = {}) {
+  const startedAt = Date.now();
   if (request.method !== "POST") {
     return errorResponse("不允许的方法", 405, "method_not_allowed");
   }
@@ -131,247 +365,2240 @@ async function handleSpeechRequest(request) {
   const {
     model = "tts-1",                    // 模型名称
     input,                              // 输入文本
-    voice = "shimmer",                  // 语音
+    voice,                              // 语音 (Microsoft 语音名或 OpenAI 别名)
     speed = 1.0,                        // 语速 (0.25-2.0)
     pitch = 1.0,                        // 音调 (0.5-1.5)
     style = "general",                  // 语音风格
+    response_format = "mp3",            // 输出格式 (mp3/opus/wav/pcm)
+    sample_rate,                        // 采样率 (可选)
+    bitrate,                            // 比特率 kbps (可选，仅 mp3)
     stream = false,                     // 是否流式输出
     concurrency = DEFAULT_CONCURRENCY, // 并发数
+    max_retries = MAX_CHUNK_RETRIES,    // 单个文本块最大重试次数
+    bypass_cache = false,               // 跳过缓存读取，重新合成并刷新缓存
     chunk_size = DEFAULT_CHUNK_SIZE,    // 分块大小
+    input_type = "text",                // 输入类型 (text: 纯文本, ssml: 完整或片段 SSML, markdown: 按结构朗读, html: 提取正文)
+    timestamp_granularities = [],       // 时间戳粒度 (word/sentence)，非空时返回 JSON
+    subtitle_format = "srt",            // 字幕格式 (srt/vtt)，仅字幕接口
+    max_chars_per_cue = DEFAULT_CUE_CHARS, // 每条字幕最大字符数，仅字幕接口
+    callback_url,                       // 任务结束后的 Webhook 地址，仅异步任务
+    lexicon = [],                       // 本次请求的发音词典，与密钥的词典合并
+    auto_language = false,              // 按语言片段自动切换语音 (仅纯文本)
+    language_voices = {},               // auto_language 模式下的 { 语言代码: 语音 }，覆盖默认映射
     cleaning_options = {}               // 文本清理选项
   } = requestBody;
 
-  // 合并默认清理选项
-  const finalCleaningOptions = {
-    remove_markdown: true,      // 移除 Markdown
-    remove_emoji: true,         // 移除 Emoji
-    remove_urls: true,          // 移除 URL
-    remove_line_breaks: true,   // 移除换行符
-    remove_citation_numbers: true, // 移除引用数字
-    custom_keywords: "",        // 自定义关键词
-    ...cleaning_options
-  };
+  // 解析输出格式
+  const audioFormat = resolveAudioFormat(response_format, sample_rate, bitrate);
+  if (audioFormat.error) {
+    return errorResponse(audioFormat.error, 400, "invalid_request_error");
+  }
+
+  // 字幕按句子时间戳切分
+  const subtitles = options.subtitles ? resolveSubtitleOptions(subtitle_format, max_chars_per_cue) : null;
+  if (subtitles?.error) {
+    return errorResponse(subtitles.error, 400, "invalid_request_error");
+  }
+
+  const timestamps = resolveTimestampGranularities(subtitles ? ["sentence"] : timestamp_granularities, stream);
+  if (timestamps.error) {
+    return errorResponse(timestamps.error, 400, "invalid_request_error");
+  }
+  if (options.job && (stream || timestamps.length > 0)) {
+    return errorResponse("异步任务不支持 stream 和 timestamp_granularities", 400, "invalid_request_error");
+  }
+  if (callback_url !== undefined && !options.job) {
+    return errorResponse("callback_url 仅适用于 /v1/audio/jobs", 400, "invalid_request_error");
+  }
+  const callbackError = callback_url !== undefined ? await validateCallbackUrl(callback_url, caller) : null;
+  if (callbackError) {
+    return errorResponse(callbackError, 400, "invalid_request_error");
+  }
+
+  // 合并默认清理选项与预设，编译清理规则
+  const finalCleaningOptions = await resolveCleaningOptions(cleaning_options);
+  if (finalCleaningOptions.error) {
+    return errorResponse(finalCleaningOptions.error, 400, "invalid_request_error");
+  }
+  const cleaningCostError = checkCleaningCost(finalCleaningOptions, String(input).length);
+  if (cleaningCostError) {
+    return errorResponse(cleaningCostError, 400, "invalid_request_error");
+  }
 
-  // 清理输入文本
-  const cleanedInput = cleanText(input, finalCleaningOptions);
+  if (!INPUT_TYPES.includes(input_type)) {
+    return errorResponse(`不支持的 input_type: ${input_type}，可选值: ${INPUT_TYPES.join(", ")}`, 400, "invalid_request_error");
+  }
+  if (auto_language && input_type !== "text") {
+    return errorResponse("auto_language 仅适用于纯文本输入，SSML 请直接使用 <voice>/<lang> 元素", 400, "invalid_request_error");
+  }
 
-  // 语音映射处理
-  const modelVoice = !voice ? OPENAI_VOICE_MAP[model.replace('tts-1-', '')] : null;
-  const finalVoice = modelVoice || voice;
+  // 语音映射处理 (别名同时作用于 voice 和 tts-1-<别名> 模型名)
+  const aliases = await loadVoiceAliases();
+  const finalVoice = resolveVoiceAlias(voice, model, aliases);
   if (!finalVoice) {
     return errorResponse("无效的语音模型", 400, "invalid_request_error");
   }
 
+  // 清理输入文本 (SSML 模式下不做清理，改为解析并按白名单校验；
+  // Markdown 模式渲染为 SSML，文本片段在渲染时清理；HTML 模式提取正文后按纯文本清理)
+  // 数字规范化按目标语音的语言朗读；自动语言切换时推迟到按片段语言进行
+  const cleanedInput = input_type === "ssml" || input_type === "markdown"
+    ? input
+    : cleanText(
+      input_type === "html" ? extractHtmlText(input) : input,
+      finalCleaningOptions,
+      auto_language ? null : getVoiceLocale(finalVoice)
+    );
+  if (input_type === "html" && !cleanedInput) {
+    return errorResponse("HTML 中没有可朗读的正文", 400, "invalid_request_error");
+  }
+  if (input_type === "text" && !cleanedInput) {
+    return errorResponse("清理后没有可朗读的文本", 400, "invalid_request_error");
+  }
+  const languageSegments = auto_language
+    ? splitLanguageSegments(cleanedInput, finalVoice, language_voices, aliases, finalCleaningOptions.normalize_numbers)
+    : null;
+  if (languageSegments?.error) {
+    return errorResponse(languageSegments.error, 400, "invalid_request_error");
+  }
+  const ssmlDocument = input_type === "ssml"
+    ? parseSsml(input)
+    : input_type === "markdown" ? parseSsml(renderMarkdownSsml(input, finalCleaningOptions, getVoiceLocale(finalVoice))) : null;
+  if (ssmlDocument?.error) {
+    return errorResponse(input_type === "markdown" ? "Markdown 清理后没有可朗读的文本" : ssmlDocument.error, 400, "invalid_request_error");
+  }
+
+  // 发音词典: 纯文本模式在生成 SSML 时替换，SSML 模式直接替换文本节点
+  const lexiconEntries = await resolveLexicon(caller, lexicon);
+  if (lexiconEntries.error) {
+    return errorResponse(lexiconEntries.error, 400, "invalid_request_error");
+  }
+  if (ssmlDocument) {
+    ssmlDocument.body = applyLexiconToSsml(ssmlDocument.body, lexiconEntries);
+  }
+
   // 参数转换为 Microsoft TTS 格式
   const rate = ((speed - 1) * 100).toFixed(0);        // 语速转换
   const finalPitch = ((pitch - 1) * 100).toFixed(0);  // 音调转换
-  const outputFormat = "audio-24khz-48kbitrate-mono-mp3"; // 输出格式
 
-  // 智能文本分块
-  const textChunks = smartChunkText(cleanedInput, chunk_size);
-  const ttsArgs = [finalVoice, rate, finalPitch, style, outputFormat];
+  // 用量记录，分块后补全字符数和块数
+  const usage = {
+    key: caller.name,
+    voice: languageSegments ? [...new Set(languageSegments.map(segment => segment.voice))].join(",") : finalVoice,
+    characters: 0,
+    chunks: 0
+  };
+  // 自动语言切换时每个文本块都生成完整的 SSML 文档，语音随文档携带
+  const context = createSynthesisContext(audioFormat, {
+    concurrency,
+    maxRetries: max_retries,
+    bypassCache: bypass_cache,
+    waitUntil: promise => event.waitUntil(promise),
+    inputType: ssmlDocument || languageSegments ? "ssml" : "text",
+    timestamps,
+    subtitles,
+    lexicon: lexiconEntries,
+    offline: options.preview,
+    // 合成结束 (含流式输出结束) 后记录用量，失败时退回字符额度
+    onComplete: (status, error) => event.waitUntil(Promise.all([
+      recordUsage({ ...usage, duration_ms: Date.now() - startedAt, status, error: error?.message }),
+      status === "error" ? refundCharacterQuota(caller.quotaKey, usage.characters) : null
+    ]))
+  });
+
+  // 校验语音与风格，必须在任何合成子请求之前完成
+  const voiceCheck = await validateVoice(finalVoice, style, context);
+  if (voiceCheck.error) {
+    return errorResponse(voiceCheck.error, 400, "invalid_request_error");
+  }
+  // SSML 中显式指定的语音同样需要校验，并替换为规范名称
+  for (const voiceNode of ssmlDocument?.voiceNodes || []) {
+    const check = await validateVoice(getSsmlAttribute(voiceNode, "name"), "general", context);
+    if (check.error) {
+      return errorResponse(check.error, 400, "invalid_request_error");
+    }
+    setSsmlAttribute(voiceNode, "name", check.voice);
+  }
+  // 各语言片段的语音: 请求的语音沿用其风格，其他语音使用默认风格 (相同语音只校验一次)
+  const checkedVoices = new Map([[finalVoice.toLowerCase(), voiceCheck]]);
+  for (const segment of languageSegments || []) {
+    const voiceKey = segment.voice.toLowerCase();
+    if (!checkedVoices.has(voiceKey)) {
+      checkedVoices.set(voiceKey, await validateVoice(segment.voice, "general", context));
+    }
+    const check = checkedVoices.get(voiceKey);
+    if (check.error) {
+      return errorResponse(`语言 ${segment.language}: ${check.error}`, 400, "invalid_request_error");
+    }
+    Object.assign(segment, {
+      voice: check.voice,
+      style: check.style,
+      rate,
+      pitch: finalPitch,
+      chunks: smartChunkText(segment.text, chunk_size)
+    });
+  }
+  const ttsArgs = [voiceCheck.voice, rate, finalPitch, voiceCheck.style, audioFormat.upstream];
+
+  // 智能文本分块 (SSML 模式下按元素边界分块，每块都是完整的 SSML 文档；
+  // 自动语言切换时按片段顺序分块，片段之间不插入停顿)
+  const textChunks = ssmlDocument
+    ? chunkSsml(ssmlDocument, chunk_size, { voice: voiceCheck.voice, rate, pitch: finalPitch, style: voiceCheck.style })
+    : languageSegments
+      ? buildDialogueChunks(languageSegments, 0, lexiconEntries)
+      : smartChunkText(cleanedInput, chunk_size);
+  usage.characters = ssmlDocument
+    ? ssmlDocument.characters
+    : languageSegments
+      ? languageSegments.reduce((sum, segment) => sum + segment.text.length, 0)
+      : countSpokenCharacters(cleanedInput);
+  usage.chunks = textChunks.length;
+
+  // 每个文本块一个子请求，另预留一个用于获取 Token (加上获取语音目录已用的子请求)；
+  // 异步任务分批合成，不受单次请求上限约束
+  const requiredSubrequests = context.subrequests + textChunks.length + 1;
+
+  // 预览: 返回清理后的文本、分块及各块 SSML，不合成音频，也不检查长度上限和额度
+  if (options.preview) {
+    const preview = buildSpeechPreview(input, textChunks, context, ttsArgs, {
+      inputType: input_type,
+      cleanedText: ssmlDocument || languageSegments ? null : cleanedInput,
+      characters: usage.characters,
+      speed,
+      subrequests: requiredSubrequests
+    });
+    return new Response(JSON.stringify(preview), {
+      headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+    });
+  }
+
+  if (options.job && usage.characters > MAX_JOB_CHARACTERS) {
+    return errorResponse(`文本过长: 单个任务最多 ${MAX_JOB_CHARACTERS} 字符`, 400, "invalid_request_error");
+  }
+  if (!options.job && requiredSubrequests > context.subrequestLimit) {
+    return errorResponse(
+      `文本过长: 需要 ${requiredSubrequests} 个子请求，超过单次请求上限 ${context.subrequestLimit}，请增大 chunk_size 或拆分文本，或改用 /v1/audio/jobs`,
+      400,
+      "invalid_request_error"
+    );
+  }
+
+  // 每日字符额度 (按清理后的文本计，SSML 按朗读文本计)
+  const quotaExceeded = await consumeCharacterQuota(caller, usage.characters);
+  if (quotaExceeded) return quotaExceeded;
+
+  // 异步任务: 保存文本块后立即返回，由队列分批合成
+  if (options.job) {
+    const webhook = callback_url ? { url: callback_url, origin: new URL(request.url).origin } : null;
+    const job = await createSynthesisJob(caller, event, textChunks, context, ttsArgs, usage, webhook);
+    return new Response(JSON.stringify(formatJob(job)), {
+      status: 202,
+      headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+    });
+  }
 
   // 根据是否流式选择处理方式
   if (stream) {
-    return await streamVoice(textChunks, concurrency, ...ttsArgs);
+    return streamVoice(textChunks, context, ...ttsArgs);
   } else {
-    return await getVoice(textChunks, concurrency, ...ttsArgs);
+    return await getVoice(textChunks, context, ...ttsArgs);
   }
 }
 
 /**
- * 处理模型列表请求
- * @returns {Response} 可用模型列表
+ * 处理多人对话合成请求
+ * 每个发言轮次使用各自的语音、风格和语速合成，按顺序拼接为一条连续音频，
+ * 轮次之间插入可配置的停顿。
+ * @param {Request} request - HTTP 请求对象
+ * @param {Object} caller - 调用方信息
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象，用于在响应后写入用量记录
+ * @returns {Promise<Response>} 语音数据响应
  */
-function handleModelsRequest() {
-  const models = [
-    { id: 'tts-1', object: 'model', created: Date.now(), owned_by: 'openai' },
-    { id: 'tts-1-hd', object: 'model', created: Date.now(), owned_by: 'openai' },
-    ...Object.keys(OPENAI_VOICE_MAP).map(v => ({
-      id: `tts-1-${v}`,
-      object: 'model',
-      created: Date.now(),
-      owned_by: 'openai'
-    }))
-  ];
-  return new Response(JSON.stringify({ object: "list", data: models }), {
-    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
-  });
-}
+async function handleDialogueRequest(request, caller, event) {
+  const startedAt = Date.now();
+  if (request.method !== "POST") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
 
-// =================================================================================
-// 核心 TTS 逻辑 (自动批处理机制)
-// =================================================================================
+  const requestBody = await request.json();
+  if (!requestBody.script) {
+    return errorResponse("'script' 是必需参数", 400, "invalid_request_error");
+  }
 
-/**
- * 流式语音生成
- * @param {string[]} textChunks - 文本块数组
- * @param {number} concurrency - 并发数
- * @param {...any} ttsArgs - TTS 参数
- * @returns {Promise<Response>} 流式音频响应
- */
-async function streamVoice(textChunks, concurrency, ...ttsArgs) {
-  const { readable, writable } = new TransformStream();
-  try {
-    // 等待流式管道完成以便捕获错误
-    await pipeChunksToStream(writable.getWriter(), textChunks, concurrency, ...ttsArgs);
-    return new Response(readable, {
-      headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() }
-    });
-  } catch (error) {
-    console.error("流式 TTS 失败:", error);
-    return errorResponse(error.message, 500, "tts_generation_error");
+  const {
+    model = "tts-1",                    // 模型名称
+    script,                             // 对话脚本 ([{ speaker, text, style }] 或 "说话人: 台词" 文本)
+    speakers = {},                      // 说话人到语音的映射 (语音名、别名或 { voice, style, speed, pitch })
+    speed = 1.0,                        // 默认语速 (0.25-2.0)
+    pitch = 1.0,                        // 默认音调 (0.5-1.5)
+    style = "general",                  // 默认语音风格
+    pause_ms = DEFAULT_DIALOGUE_PAUSE,  // 轮次之间的停顿 (毫秒)
+    response_format = "mp3",            // 输出格式 (mp3/opus/wav/pcm)
+    sample_rate,                        // 采样率 (可选)
+    bitrate,                            // 比特率 kbps (可选，仅 mp3)
+    stream = false,                     // 是否流式输出
+    concurrency = DEFAULT_CONCURRENCY, // 并发数
+    max_retries = MAX_CHUNK_RETRIES,    // 单个文本块最大重试次数
+    bypass_cache = false,               // 跳过缓存读取，重新合成并刷新缓存
+    chunk_size = DEFAULT_CHUNK_SIZE,    // 分块大小
+    timestamp_granularities = [],       // 时间戳粒度 (word/sentence)，非空时返回 JSON
+    lexicon = [],                       // 本次请求的发音词典，与密钥的词典合并
+    cleaning_options = {}               // 文本清理选项
+  } = requestBody;
+
+  const audioFormat = resolveAudioFormat(response_format, sample_rate, bitrate);
+  if (audioFormat.error) {
+    return errorResponse(audioFormat.error, 400, "invalid_request_error");
   }
-}
 
-/**
- * 将文本块流式传输到响应流
- * @param {WritableStreamDefaultWriter} writer - 写入器
- * @param {string[]} chunks - 文本块
- * @param {number} concurrency - 并发数
- * @param {...any} ttsArgs - TTS 参数
- */
-async function pipeChunksToStream(writer, chunks, concurrency, ...ttsArgs) {
-  try {
-    // 分批处理文本块以避免超出 Cloudflare 子请求限制
-    for (let i = 0; i < chunks.length; i += concurrency) {
-      const batch = chunks.slice(i, i + concurrency);
-      const audioPromises = batch.map(chunk => getAudioChunk(chunk, ...ttsArgs));
+  const timestamps = resolveTimestampGranularities(timestamp_granularities, stream);
+  if (timestamps.error) {
+    return errorResponse(timestamps.error, 400, "invalid_request_error");
+  }
+
+  const pauseMs = Number(pause_ms);
+  if (!Number.isFinite(pauseMs) || pauseMs < 0 || pauseMs > MAX_DIALOGUE_PAUSE) {
+    return errorResponse(`pause_ms 必须在 0 到 ${MAX_DIALOGUE_PAUSE} 之间`, 400, "invalid_request_error");
+  }
 
-      // 仅等待当前批次完成
-      const audioBlobs = await Promise.all(audioPromises);
+  const turns = parseDialogueScript(script, speakers);
+  if (turns.error) {
+    return errorResponse(turns.error, 400, "invalid_request_error");
+  }
 
-      // 将音频数据写入流
-      for (const blob of audioBlobs) {
-        const arrayBuffer = await blob.arrayBuffer();
-        writer.write(new Uint8Array(arrayBuffer));
-      }
-    }
-  } catch (error) {
-    console.error("流式 TTS 失败:", error);
-    writer.abort(error);
-    throw error;
-  } finally {
-    writer.close();
+  const lexiconEntries = await resolveLexicon(caller, lexicon);
+  if (lexiconEntries.error) {
+    return errorResponse(lexiconEntries.error, 400, "invalid_request_error");
   }
-}
 
-/**
- * 非流式语音生成
- * @param {string[]} textChunks - 文本块数组
- * @param {number} concurrency - 并发数
- * @param {...any} ttsArgs - TTS 参数
- * @returns {Promise<Response>} 完整音频响应
- */
-async function getVoice(textChunks, concurrency, ...ttsArgs) {
-  const allAudioBlobs = [];
-  try {
-    // 非流式模式也使用批处理
-    for (let i = 0; i < textChunks.length; i += concurrency) {
-      const batch = textChunks.slice(i, i + concurrency);
-      const audioPromises = batch.map(chunk => getAudioChunk(chunk, ...ttsArgs));
+  // 按轮次解析语音与语速，清理文本并分块
+  const aliases = await loadVoiceAliases();
+  const finalCleaningOptions = await resolveCleaningOptions(cleaning_options);
+  if (finalCleaningOptions.error) {
+    return errorResponse(finalCleaningOptions.error, 400, "invalid_request_error");
+  }
+  const cleaningCostError = checkCleaningCost(finalCleaningOptions, turns.reduce((sum, turn) => sum + turn.text.length, 0));
+  if (cleaningCostError) {
+    return errorResponse(cleaningCostError, 400, "invalid_request_error");
+  }
+  const speakerMap = normalizeSpeakerMap(speakers);
+  const segments = [];
+  for (const turn of turns) {
+    const profile = speakerMap[turn.speaker.toLowerCase()];
+    const turnVoice = resolveVoiceAlias(profile.voice, model, aliases);
+    const text = cleanText(turn.text, finalCleaningOptions, getVoiceLocale(turnVoice));
+    if (!text) continue;
+    segments.push({
+      voice: turnVoice,
+      style: turn.style || profile.style || style,
+      rate: (((turn.speed ?? profile.speed ?? speed) - 1) * 100).toFixed(0),
+      pitch: (((turn.pitch ?? profile.pitch ?? pitch) - 1) * 100).toFixed(0),
+      chunks: smartChunkText(text, chunk_size),
+      characters: text.length
+    });
+  }
+  if (segments.length === 0) {
+    return errorResponse("对话脚本清理后没有可朗读的文本", 400, "invalid_request_error");
+  }
 
-      // 等待当前批次并收集结果
-      const audioBlobs = await Promise.all(audioPromises);
-      allAudioBlobs.push(...audioBlobs);
+  const usage = {
+    key: caller.name,
+    voice: [...new Set(segments.map(segment => segment.voice))].join(","),
+    characters: segments.reduce((sum, segment) => sum + segment.characters, 0),
+    chunks: segments.reduce((sum, segment) => sum + segment.chunks.length, 0)
+  };
+  // 每个文本块都生成完整的 SSML 文档，语音参数随文档携带
+  const context = createSynthesisContext(audioFormat, {
+    concurrency,
+    maxRetries: max_retries,
+    bypassCache: bypass_cache,
+    waitUntil: promise => event.waitUntil(promise),
+    inputType: "ssml",
+    timestamps,
+    onComplete: (status, error) => event.waitUntil(Promise.all([
+      recordUsage({ ...usage, duration_ms: Date.now() - startedAt, status, error: error?.message }),
+      status === "error" ? refundCharacterQuota(caller.quotaKey, usage.characters) : null
+    ]))
+  });
+
+  // 校验每个轮次的语音与风格 (相同组合只校验一次)
+  const checked = new Map();
+  for (const segment of segments) {
+    const checkKey = `${segment.voice}\n${segment.style}`;
+    if (!checked.has(checkKey)) {
+      checked.set(checkKey, await validateVoice(segment.voice, segment.style, context));
+    }
+    const voiceCheck = checked.get(checkKey);
+    if (voiceCheck.error) {
+      return errorResponse(voiceCheck.error, 400, "invalid_request_error");
     }
+    segment.voice = voiceCheck.voice;
+    segment.style = voiceCheck.style;
+  }
 
-    // 合并所有音频数据
-    const concatenatedAudio = new Blob(allAudioBlobs, { type: 'audio/mpeg' });
-    return new Response(concatenatedAudio, {
-      headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() }
-    });
-  } catch (error) {
-    console.error("非流式 TTS 失败:", error);
-    return errorResponse(error.message, 500, "tts_generation_error");
+  const textChunks = buildDialogueChunks(segments, pauseMs, lexiconEntries);
+
+  const requiredSubrequests = context.subrequests + textChunks.length + 1;
+  if (requiredSubrequests > context.subrequestLimit) {
+    return errorResponse(
+      `对话过长: 需要 ${requiredSubrequests} 个子请求，超过单次请求上限 ${context.subrequestLimit}，请增大 chunk_size 或拆分脚本`,
+      400,
+      "invalid_request_error"
+    );
+  }
+
+  const quotaExceeded = await consumeCharacterQuota(caller, usage.characters);
+  if (quotaExceeded) return quotaExceeded;
+
+  // 语音参数已写入各块的 SSML，仅需传递输出格式
+  const ttsArgs = [null, null, null, null, audioFormat.upstream];
+  if (stream) {
+    return streamVoice(textChunks, context, ...ttsArgs);
+  } else {
+    return await getVoice(textChunks, context, ...ttsArgs);
   }
 }
 
 /**
- * 获取单个文本块的音频数据
- * @param {string} text - 文本内容
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速
- * @param {string} pitch - 音调
- * @param {string} style - 语音风格
- * @param {string} outputFormat - 输出格式
- * @returns {Promise<Blob>} 音频 Blob
+ * 处理批量合成请求
+ * 所有条目共享 Token、并发窗口、重试预算和子请求额度；单个条目失败 (包括子请求额度耗尽)
+ * 只影响该条目，结果以 JSON (base64 音频) 或 ZIP 返回，按 id 对应。
+ * @param {Request} request - HTTP 请求对象
+ * @param {Object} caller - 调用方信息
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象，用于在响应后写入用量记录
+ * @returns {Promise<Response>} JSON 或 ZIP 响应
  */
-async function getAudioChunk(text, voiceName, rate, pitch, style, outputFormat) {
-  const endpoint = await getEndpoint();
-  const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`;
-  const ssml = getSsml(text, voiceName, rate, pitch, style);
+async function handleBatchSpeechRequest(request, caller, event) {
+  const startedAt = Date.now();
+  if (request.method !== "POST") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
 
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Authorization": endpoint.t,
-      "Content-Type": "application/ssml+xml",
-      "User-Agent": "okhttp/4.5.0",
-      "X-Microsoft-OutputFormat": outputFormat
-    },
-    body: ssml
-  });
+  const requestBody = await request.json();
+  const {
+    items,                              // 条目 [{ id, input, voice, model, speed, pitch, style, input_type }]
+    output = "json",                    // 返回形式 (json: base64 音频, zip: 压缩包)
+    model = "tts-1",                    // 以下为条目未指定时的默认值
+    voice,
+    speed = 1.0,
+    pitch = 1.0,
+    style = "general",
+    response_format = "mp3",            // 输出格式，所有条目相同
+    sample_rate,
+    bitrate,
+    concurrency = DEFAULT_CONCURRENCY,
+    max_retries = MAX_CHUNK_RETRIES,
+    bypass_cache = false,
+    chunk_size = DEFAULT_CHUNK_SIZE,
+    lexicon = [],                       // 本次请求的发音词典，作用于所有条目
+    cleaning_options = {}
+  } = requestBody;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Edge TTS API 错误: ${response.status} ${response.statusText} - ${errorText}`);
+  if (!Array.isArray(items) || items.length === 0) {
+    return errorResponse("'items' 必须是非空数组", 400, "invalid_request_error");
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return errorResponse(`单次最多 ${MAX_BATCH_ITEMS} 个条目，更长的文本请使用 /v1/audio/jobs`, 400, "invalid_request_error");
+  }
+  if (output !== "json" && output !== "zip") {
+    return errorResponse(`不支持的 output: ${output}，可选值: json, zip`, 400, "invalid_request_error");
   }
 
-  return response.blob();
-}
+  const audioFormat = resolveAudioFormat(response_format, sample_rate, bitrate);
+  if (audioFormat.error) {
+    return errorResponse(audioFormat.error, 400, "invalid_request_error");
+  }
 
+  const lexiconEntries = await resolveLexicon(caller, lexicon);
+  if (lexiconEntries.error) {
+    return errorResponse(lexiconEntries.error, 400, "invalid_request_error");
+  }
 
-// =================================================================================
-// 稳定的身份验证与辅助函数
-// =================================================================================
+  const ids = items.map((item, index) => String(item?.id ?? index));
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate !== undefined) {
+    return errorResponse(`条目 id 重复: ${duplicate}`, 400, "invalid_request_error");
+  }
 
-// Token 缓存信息
-let tokenInfo = { endpoint: null, token: null, expiredAt: null };
-const TOKEN_REFRESH_BEFORE_EXPIRY = 5 * 60; // 提前 5 分钟刷新 Token
+  const cleaningOptions = await resolveCleaningOptions(cleaning_options);
+  if (cleaningOptions.error) {
+    return errorResponse(cleaningOptions.error, 400, "invalid_request_error");
+  }
+  const batchCharacters = items.reduce((sum, item) => sum + (typeof item?.input === "string" ? item.input.length : 0), 0);
+  const cleaningCostError = checkCleaningCost(cleaningOptions, batchCharacters);
+  if (cleaningCostError) {
+    return errorResponse(cleaningCostError, 400, "invalid_request_error");
+  }
 
-/**
- * 获取 Microsoft TTS 服务端点和 Token
- * @returns {Promise<Object>} 端点信息对象
- */
-async function getEndpoint() {
-  const now = Date.now() / 1000;
+  // 所有文本块都生成完整的 SSML 文档，各条目的语音参数随文档携带
+  const context = createSynthesisContext(audioFormat, {
+    concurrency,
+    maxRetries: max_retries,
+    bypassCache: bypass_cache,
+    waitUntil: promise => event.waitUntil(promise),
+    inputType: "ssml"
+  });
+  const settings = {
+    model, voice, speed, pitch, style,
+    chunkSize: chunk_size,
+    cleaningOptions,
+    aliases: await loadVoiceAliases(),
+    lexicon: lexiconEntries
+  };
 
-  // 检查 Token 是否仍然有效
-  if (tokenInfo.token && tokenInfo.expiredAt &&
-    now < tokenInfo.expiredAt - TOKEN_REFRESH_BEFORE_EXPIRY) {
-    return tokenInfo.endpoint;
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    results.push({ id: ids[index], ...await prepareBatchItem(item, settings, context), blobs: [] });
   }
 
-  const endpointUrl = "https://dev.microsofttranslator.com/apps/endpoint?api-version=1.0";
-  const clientId = crypto.randomUUID().replace(/-/g, "");
+  // 按顺序装入子请求额度 (预留一个给 Token)，装不下的条目及其后续条目直接失败且不计字符，
+  // 调用方可从第一个 subrequest_limit_exceeded 条目起拆分重试
+  let remaining = context.subrequestLimit - context.subrequests - 1;
+  for (const result of results) {
+    if (result.error) continue;
+    if (result.chunks.length > remaining) {
+      remaining = 0;
+      result.error = {
+        message: `超出单次请求的子请求上限 (${context.subrequestLimit})，请拆分批次或改用 /v1/audio/jobs`,
+        code: "subrequest_limit_exceeded"
+      };
+      continue;
+    }
+    remaining -= result.chunks.length;
+  }
+  const valid = results.filter(result => !result.error);
+  const characters = valid.reduce((sum, result) => sum + result.characters, 0);
+
+  const quotaExceeded = await consumeCharacterQuota(caller, characters);
+  if (quotaExceeded) return quotaExceeded;
+
+  const tasks = valid.flatMap(result => result.chunks.map((chunk, index) => ({ result, chunk, index })));
+
+  // 单个文本块失败不中断其他条目
+  const outcomes = await Promise.all(scheduleWithConcurrency(
+    tasks,
+    context.concurrency,
+    task => getCachedAudioChunk(task.index, task.chunk, null, null, null, null, audioFormat.upstream, context)
+      .then(blob => ({ blob }), error => ({ error }))
+  ));
+  tasks.forEach((task, index) => {
+    const { blob, error } = outcomes[index];
+    if (error) task.result.error ??= { message: error.message, code: "tts_generation_error" };
+    else task.result.blobs[task.index] = blob;
+  });
 
-  try {
-    const response = await fetch(endpointUrl, {
-      method: "POST",
+  // 只为成功合成的条目计字符，失败条目的额度退回
+  const succeeded = valid.filter(result => !result.error);
+  const refunded = characters - succeeded.reduce((sum, result) => sum + result.characters, 0);
+  await refundCharacterQuota(caller.quotaKey, refunded);
+
+  const failed = results.filter(result => result.error).length;
+  event.waitUntil(recordUsage({
+    key: caller.name,
+    voice: [...new Set(valid.map(result => result.voice))].join(","),
+    characters: characters - refunded,
+    chunks: tasks.length,
+    duration_ms: Date.now() - startedAt,
+    status: failed === 0 ? "success" : "error",
+    error: failed === 0 ? undefined : `${failed}/${results.length} 个条目失败`
+  }));
+
+  // 每个条目单独成为完整的音频文件
+  for (const result of results) {
+    if (result.error) continue;
+    const bytes = new Uint8Array(await new Blob(result.blobs).arrayBuffer());
+    result.audio = audioFormat.wrapWav
+      ? new Uint8Array(await new Blob([createWavHeader(bytes.length, audioFormat.sampleRate), bytes]).arrayBuffer())
+      : bytes;
+  }
+
+  const headers = {
+    "X-Batch-Succeeded": String(results.length - failed),
+    "X-Batch-Failed": String(failed),
+    "X-Subrequest-Count": String(context.subrequests),
+    "X-Subrequest-Limit": String(context.subrequestLimit),
+    ...getCacheHeaders(context, tasks.length),
+    ...makeCORSHeaders()
+  };
+  const summarize = result => ({
+    id: result.id,
+    status: result.error ? "failed" : "succeeded",
+    error: result.error || null
+  });
+
+  if (output === "zip") {
+    // id 转为安全的文件名，替换字符后重名的追加序号
+    const extension = audioFormat.format === "opus" ? "ogg" : audioFormat.format;
+    const usedNames = new Set();
+    for (const result of results.filter(result => !result.error)) {
+      const base = result.id.replace(/[^\w.-]/g, "_");
+      let name = `${base}.${extension}`;
+      for (let n = 2; usedNames.has(name); n++) name = `${base}-${n}.${extension}`;
+      usedNames.add(name);
+      result.file = name;
+    }
+    const manifest = results.map(result => ({ ...summarize(result), file: result.file || null }));
+    const archive = createZipArchive([
+      ...results.filter(result => !result.error).map(result => ({ name: result.file, data: result.audio })),
+      { name: "manifest.json", data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }
+    ]);
+    return new Response(archive, {
       headers: {
-        "Accept-Language": "zh-Hans",
-        "X-ClientVersion": "4.0.530a 5fe1dc6c",
-        "X-UserId": "0f04d16a175c411e",
-        "X-HomeGeographicRegion": "zh-Hans-CN",
-        "X-ClientTraceId": clientId,
-        "X-MT-Signature": await sign(endpointUrl),
-        "User-Agent": "okhttp/4.5.0",
-        "Content-Type": "application/json; charset=utf-8",
-        "Content-Length": "0",
-        "Accept-Encoding": "gzip"
+        "Content-Type": "application/zip",
+        "Content-Disposition": 'attachment; filename="speech-batch.zip"',
+        ...headers
       }
     });
+  }
 
-    if (!response.ok) {
-      throw new Error(`获取端点失败: ${response.status}`);
-    }
+  const data = [];
+  for (const result of results) {
+    data.push({
+      ...summarize(result),
+      content_type: result.error ? null : audioFormat.contentType,
+      audio: result.error ? null : await bytesToBase64(result.audio)
+    });
+  }
+  return new Response(JSON.stringify({ object: "list", data }), {
+    headers: { "Content-Type": "application/json", ...headers }
+  });
+}
 
-    const data = await response.json();
+/**
+ * 校验批量合成中的单个条目并生成其 SSML 文本块
+ * @param {Object} item - 条目 { input, voice, model, speed, pitch, style, input_type }
+ * @param {Object} settings - 请求级默认值 { model, voice, speed, pitch, style, chunkSize, cleaningOptions, aliases, lexicon }
+ * @param {Object} context - 合成上下文
+ * @returns {Promise<Object>} { voice, chunks, characters }，失败时为 { error: { message, code } }
+ */
+async function prepareBatchItem(item, settings, context) {
+  const invalid = message => ({ error: { message, code: "invalid_request_error" } });
+  if (!item || typeof item.input !== "string" || !item.input.trim()) {
+    return invalid("'input' 是必需参数");
+  }
 
-    // 解析 JWT Token 获取过期时间
-    const jwt = data.t.split(".")[1];
-    const decodedJwt = JSON.parse(atob(jwt));
+  const inputType = item.input_type ?? "text";
+  if (!INPUT_TYPES.includes(inputType)) {
+    return invalid(`不支持的 input_type: ${inputType}，可选值: ${INPUT_TYPES.join(", ")}`);
+  }
+
+  const voiceName = resolveVoiceAlias(item.voice ?? settings.voice, item.model ?? settings.model, settings.aliases);
+  if (!voiceName) return invalid("无效的语音模型");
+
+  const ssmlDocument = inputType === "ssml"
+    ? parseSsml(item.input)
+    : inputType === "markdown" ? parseSsml(renderMarkdownSsml(item.input, settings.cleaningOptions, getVoiceLocale(voiceName))) : null;
+  if (ssmlDocument?.error) return invalid(inputType === "markdown" ? "清理后没有可朗读的文本" : ssmlDocument.error);
+  if (ssmlDocument) ssmlDocument.body = applyLexiconToSsml(ssmlDocument.body, settings.lexicon);
+  const text = ssmlDocument
+    ? null
+    : cleanText(inputType === "html" ? extractHtmlText(item.input) : item.input, settings.cleaningOptions, getVoiceLocale(voiceName));
+  if (!ssmlDocument && !text) return invalid("清理后没有可朗读的文本");
+  const rate = (((item.speed ?? settings.speed) - 1) * 100).toFixed(0);
+  const pitch = (((item.pitch ?? settings.pitch) - 1) * 100).toFixed(0);
+
+  const voiceCheck = await validateVoice(voiceName, item.style ?? settings.style, context);
+  if (voiceCheck.error) return invalid(voiceCheck.error);
+  for (const voiceNode of ssmlDocument?.voiceNodes || []) {
+    const check = await validateVoice(getSsmlAttribute(voiceNode, "name"), "general", context);
+    if (check.error) return invalid(check.error);
+    setSsmlAttribute(voiceNode, "name", check.voice);
+  }
+
+  const chunks = ssmlDocument
+    ? chunkSsml(ssmlDocument, settings.chunkSize, { voice: voiceCheck.voice, rate, pitch, style: voiceCheck.style })
+    : smartChunkText(text, settings.chunkSize).map(chunk => getSsml(chunk, voiceCheck.voice, rate, pitch, voiceCheck.style, settings.lexicon));
+  return {
+    voice: voiceCheck.voice,
+    chunks,
+    characters: ssmlDocument ? ssmlDocument.characters : text.length
+  };
+}
+
+/**
+ * 处理 EPUB 电子书合成请求
+ * multipart/form-data 上传: file 为 EPUB 文件，options 为 JSON 格式的合成参数。
+ * 按目录 (nav/NCX) 划分章节，未列入目录的正文文件并入前一章；
+ * output 为 zip 时每章一个音频文件 (附 manifest.json)，single 时合并为带 ID3 章节标记的单个 MP3，
+ * jobs 时每章创建一个异步任务 (适用于超过单次请求子请求上限的长书)。
+ * @param {Request} request - HTTP 请求对象
+ * @param {Object} caller - 调用方信息
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象，用于在响应后写入用量记录
+ * @returns {Promise<Response>} 压缩包、音频或任务列表响应
+ */
+async function handleEpubRequest(request, caller, event) {
+  const startedAt = Date.now();
+  if (request.method !== "POST") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+  if (!/^multipart\/form-data/i.test(request.headers.get("Content-Type") || "")) {
+    return errorResponse("请以 multipart/form-data 上传 EPUB 文件 (字段 file)", 400, "invalid_request_error");
+  }
+
+  const form = await request.formData();
+  const file = form.get("file");
+  if (!file || typeof file === "string") {
+    return errorResponse("'file' 是必需参数，需为 EPUB 文件", 400, "invalid_request_error");
+  }
+  if (file.size > MAX_EPUB_SIZE) {
+    return errorResponse(`EPUB 文件过大: 最大 ${MAX_EPUB_SIZE / 1024 / 1024} MB`, 413, "invalid_request_error");
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(form.get("options") || "{}");
+  } catch {
+    return errorResponse("'options' 必须是 JSON 对象", 400, "invalid_request_error");
+  }
+  const {
+    model = "tts-1",                    // 模型名称
+    voice,                              // 语音 (Microsoft 语音名或 OpenAI 别名)
+    speed = 1.0,                        // 语速 (0.25-2.0)
+    pitch = 1.0,                        // 音调 (0.5-1.5)
+    style = "general",                  // 语音风格
+    output = "zip",                     // 返回形式 (zip: 每章一个文件, single: 带章节标记的单个 MP3, jobs: 每章一个异步任务)
+    chapters,                           // 只合成指定章节 (从 1 开始的序号数组)，缺省为全部
+    response_format = "mp3",            // 输出格式 (mp3/opus/wav/pcm)
+    sample_rate,                        // 采样率 (可选)
+    bitrate,                            // 比特率 kbps (可选，仅 mp3)
+    concurrency = DEFAULT_CONCURRENCY, // 并发数
+    max_retries = MAX_CHUNK_RETRIES,    // 单个文本块最大重试次数
+    bypass_cache = false,               // 跳过缓存读取，重新合成并刷新缓存
+    chunk_size = DEFAULT_CHUNK_SIZE,    // 分块大小
+    callback_url,                       // 每个任务结束后的 Webhook 地址，仅 output 为 jobs
+    lexicon = [],                       // 本次请求的发音词典，与密钥的词典合并
+    cleaning_options = {}               // 文本清理选项
+  } = requestBody || {};
+
+  if (!["zip", "single", "jobs"].includes(output)) {
+    return errorResponse(`不支持的 output: ${output}，可选值: zip, single, jobs`, 400, "invalid_request_error");
+  }
+  const audioFormat = resolveAudioFormat(response_format, sample_rate, bitrate);
+  if (audioFormat.error) {
+    return errorResponse(audioFormat.error, 400, "invalid_request_error");
+  }
+  if (output === "single" && audioFormat.format !== "mp3") {
+    return errorResponse("output 为 single 时仅支持 mp3 (章节标记写入 ID3 CHAP 帧)", 400, "invalid_request_error");
+  }
+  if (callback_url !== undefined && output !== "jobs") {
+    return errorResponse("callback_url 仅适用于 output 为 jobs", 400, "invalid_request_error");
+  }
+  const callbackError = callback_url !== undefined ? await validateCallbackUrl(callback_url, caller) : null;
+  if (callbackError) {
+    return errorResponse(callbackError, 400, "invalid_request_error");
+  }
+
+  const book = await parseEpub(new Uint8Array(await file.arrayBuffer()));
+  if (book.error) {
+    return errorResponse(book.error, 400, "invalid_request_error");
+  }
+
+  // 章节选择
+  let selected = book.chapters;
+  if (chapters !== undefined) {
+    const invalid = !Array.isArray(chapters) || chapters.length === 0 ||
+      chapters.some(index => !Number.isInteger(index) || index < 1 || index > book.chapters.length);
+    if (invalid) {
+      return errorResponse(`chapters 必须是 1 到 ${book.chapters.length} 之间的章节序号数组`, 400, "invalid_request_error");
+    }
+    selected = [...new Set(chapters)].sort((a, b) => a - b).map(index => book.chapters[index - 1]);
+  }
+
+  const finalVoice = resolveVoiceAlias(voice, model, await loadVoiceAliases());
+  if (!finalVoice) {
+    return errorResponse("无效的语音模型", 400, "invalid_request_error");
+  }
+
+  const lexiconEntries = await resolveLexicon(caller, lexicon);
+  if (lexiconEntries.error) {
+    return errorResponse(lexiconEntries.error, 400, "invalid_request_error");
+  }
+
+  // 按章节清理文本并分块
+  const finalCleaningOptions = await resolveCleaningOptions(cleaning_options);
+  if (finalCleaningOptions.error) {
+    return errorResponse(finalCleaningOptions.error, 400, "invalid_request_error");
+  }
+  const cleaningCostError = checkCleaningCost(finalCleaningOptions, selected.reduce((sum, chapter) => sum + chapter.text.length, 0));
+  if (cleaningCostError) {
+    return errorResponse(cleaningCostError, 400, "invalid_request_error");
+  }
+  const locale = getVoiceLocale(finalVoice);
+  const parts = selected
+    .map(chapter => ({ ...chapter, text: cleanText(chapter.text, finalCleaningOptions, locale) }))
+    .filter(chapter => chapter.text)
+    .map(chapter => ({ ...chapter, chunks: smartChunkText(chapter.text, chunk_size), blobs: [] }));
+  if (parts.length === 0) {
+    return errorResponse("所选章节清理后没有可朗读的文本", 400, "invalid_request_error");
+  }
+
+  const rate = ((speed - 1) * 100).toFixed(0);
+  const finalPitch = ((pitch - 1) * 100).toFixed(0);
+  const usage = {
+    key: caller.name,
+    voice: finalVoice,
+    characters: parts.reduce((sum, part) => sum + countSpokenCharacters(part.text), 0),
+    chunks: parts.reduce((sum, part) => sum + part.chunks.length, 0)
+  };
+  const context = createSynthesisContext(audioFormat, {
+    concurrency,
+    maxRetries: max_retries,
+    bypassCache: bypass_cache,
+    waitUntil: promise => event.waitUntil(promise),
+    lexicon: lexiconEntries
+  });
+
+  const voiceCheck = await validateVoice(finalVoice, style, context);
+  if (voiceCheck.error) {
+    return errorResponse(voiceCheck.error, 400, "invalid_request_error");
+  }
+  const ttsArgs = [voiceCheck.voice, rate, finalPitch, voiceCheck.style, audioFormat.upstream];
+
+  const oversized = output === "jobs" ? parts.find(part => countSpokenCharacters(part.text) > MAX_JOB_CHARACTERS) : null;
+  if (oversized) {
+    return errorResponse(`第 ${oversized.index} 章过长: 单个任务最多 ${MAX_JOB_CHARACTERS} 字符`, 400, "invalid_request_error");
+  }
+  const requiredSubrequests = context.subrequests + usage.chunks + 1;
+  if (output !== "jobs" && requiredSubrequests > context.subrequestLimit) {
+    return errorResponse(
+      `文本过长: 需要 ${requiredSubrequests} 个子请求，超过单次请求上限 ${context.subrequestLimit}，请通过 chapters 选择部分章节，或改用 output: "jobs"`,
+      400,
+      "invalid_request_error"
+    );
+  }
+
+  const quotaExceeded = await consumeCharacterQuota(caller, usage.characters);
+  if (quotaExceeded) return quotaExceeded;
+
+  // 异步任务: 每章一个任务，用量在各任务结束时记录
+  if (output === "jobs") {
+    const webhook = callback_url ? { url: callback_url, origin: new URL(request.url).origin } : null;
+    const data = [];
+    let unqueued = 0;
+    for (const part of parts) {
+      const partUsage = { ...usage, characters: countSpokenCharacters(part.text), chunks: part.chunks.length };
+      try {
+        const job = await createSynthesisJob(caller, event, part.chunks, context, ttsArgs, partUsage, webhook);
+        data.push({ chapter: part.index, title: part.title, job: formatJob(job), error: null });
+      } catch (error) {
+        // 单章创建失败不影响已创建的任务，该章的字符额度退回
+        console.error(`第 ${part.index} 章创建任务失败:`, error);
+        unqueued += partUsage.characters;
+        data.push({ chapter: part.index, title: part.title, job: null, error: { message: error.message, code: "internal_server_error" } });
+      }
+    }
+    await refundCharacterQuota(caller.quotaKey, unqueued);
+    if (data.every(entry => !entry.job)) {
+      return errorResponse(`创建任务失败: ${data[0].error.message}`, 500, "internal_server_error");
+    }
+    return new Response(JSON.stringify({ object: "list", title: book.title, data }), {
+      status: 202,
+      headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+    });
+  }
+
+  const tasks = parts.flatMap(part => part.chunks.map(chunk => ({ part, chunk })));
+  const finish = (status, error) => event.waitUntil(Promise.all([
+    recordUsage({ ...usage, duration_ms: Date.now() - startedAt, status, error: error?.message }),
+    status === "error" ? refundCharacterQuota(caller.quotaKey, usage.characters) : null
+  ]));
+  try {
+    const blobs = await Promise.all(scheduleWithConcurrency(
+      tasks,
+      context.concurrency,
+      (task, index) => getCachedAudioChunk(index, task.chunk, ...ttsArgs, context)
+    ));
+    tasks.forEach((task, index) => task.part.blobs.push(blobs[index]));
+  } catch (error) {
+    console.error("EPUB TTS 失败:", error);
+    finish("error", error);
+    return errorResponse(error.message, 500, "tts_generation_error");
+  }
+  finish("success");
+
+  // 每章单独计算时长，用于清单和章节标记
+  let offset = 0;
+  for (const part of parts) {
+    part.audio = new Uint8Array(await new Blob(part.blobs).arrayBuffer());
+    part.start = offset;
+    part.duration = getAudioDuration(part.audio, audioFormat);
+    offset += part.duration;
+  }
+
+  const headers = {
+    "X-Chapter-Count": String(parts.length),
+    "X-Audio-Duration": String(roundSeconds(offset)),
+    "X-Subrequest-Count": String(context.subrequests),
+    "X-Subrequest-Limit": String(context.subrequestLimit),
+    ...getCacheHeaders(context, tasks.length),
+    ...makeCORSHeaders()
+  };
+
+  if (output === "single") {
+    const tag = createId3ChapterTag(book.title, parts.map(part => ({
+      title: part.title,
+      start: part.start,
+      end: part.start + part.duration
+    })));
+    return new Response(new Blob([tag, ...parts.map(part => part.audio)], { type: audioFormat.contentType }), {
+      headers: { "Content-Type": audioFormat.contentType, ...headers }
+    });
+  }
+
+  // 文件名为 "序号-章节标题"，去除文件系统不允许的字符
+  const extension = audioFormat.format === "opus" ? "ogg" : audioFormat.format;
+  const width = String(book.chapters.length).length;
+  const files = [];
+  for (const part of parts) {
+    const title = part.title.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_").trim().slice(0, 60);
+    part.file = `${String(part.index).padStart(Math.max(2, width), "0")}${title ? `-${title}` : ""}.${extension}`;
+    const data = audioFormat.wrapWav
+      ? new Uint8Array(await new Blob([createWavHeader(part.audio.length, audioFormat.sampleRate), part.audio]).arrayBuffer())
+      : part.audio;
+    files.push({ name: part.file, data });
+  }
+  const manifest = {
+    title: book.title,
+    content_type: audioFormat.contentType,
+    chapters: parts.map(part => ({
+      chapter: part.index,
+      title: part.title,
+      file: part.file,
+      characters: countSpokenCharacters(part.text),
+      duration: roundSeconds(part.duration)
+    }))
+  };
+  files.push({ name: "manifest.json", data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+  return new Response(createZipArchive(files), {
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Disposition": 'attachment; filename="audiobook.zip"',
+      ...headers
+    }
+  });
+}
+
+// 别名表内存缓存
+let voiceAliasCache = { aliases: null, loadedAt: 0 };
+
+/**
+ * 加载语音别名表 (默认别名表 < VOICE_ALIASES 环境变量 < kvStore)
+ * @returns {Promise<Object>} 别名 (小写) 到 Microsoft 语音名的映射
+ */
+async function loadVoiceAliases() {
+  if (voiceAliasCache.aliases && Date.now() - voiceAliasCache.loadedAt < CONFIG_CACHE_TTL) {
+    return voiceAliasCache.aliases;
+  }
+
+  const stored = await kvStore.get(VOICE_ALIASES_KV_KEY, "json").catch(error => {
+    console.error("读取语音别名表失败:", error);
+    return null;
+  });
+  const configured = typeof VOICE_ALIASES === "string" ? JSON.parse(VOICE_ALIASES) : VOICE_ALIASES;
+
+  const aliases = {};
+  for (const table of [OPENAI_VOICE_MAP, configured, stored]) {
+    if (!table) continue;
+    if (typeof table !== "object" || Array.isArray(table)) {
+      throw new Error("语音别名表必须是 JSON 对象");
+    }
+    for (const [alias, voiceName] of Object.entries(table)) {
+      if (voiceName) aliases[alias.toLowerCase()] = voiceName;
+    }
+  }
+
+  voiceAliasCache = { aliases, loadedAt: Date.now() };
+  return aliases;
+}
+
+/**
+ * 解析最终使用的 Microsoft 语音名
+ * 优先级: voice (别名或语音名) > tts-1-<别名> 模型名 > 默认别名
+ * @param {string} [voice] - 请求中的 voice
+ * @param {string} model - 请求中的 model
+ * @param {Object} aliases - 别名表
+ * @returns {string|null} Microsoft 语音名
+ */
+function resolveVoiceAlias(voice, model, aliases) {
+  if (voice) {
+    return aliases[String(voice).toLowerCase()] || voice;
+  }
+  const modelAlias = String(model).toLowerCase().replace(/^tts-1-/, "");
+  return aliases[modelAlias] || aliases[DEFAULT_VOICE_ALIAS] || null;
+}
+
+/**
+ * 解析 OpenAI 风格的输出格式参数
+ * @param {string} responseFormat - 输出格式 (mp3/opus/wav/pcm)
+ * @param {number} [sampleRate] - 采样率
+ * @param {number} [bitrate] - 比特率 (kbps)，仅 mp3 可选
+ * @returns {Object} 格式信息 { format, upstream, contentType, sampleRate, wrapWav }，失败时为 { error }
+ */
+function resolveAudioFormat(responseFormat, sampleRate, bitrate) {
+  const format = String(responseFormat).toLowerCase();
+  if (UNSUPPORTED_AUDIO_FORMATS.includes(format)) {
+    return { error: `Microsoft 语音服务不提供 ${format} 编码，请改用 ${Object.keys(AUDIO_FORMATS).join("、")}` };
+  }
+
+  const definition = AUDIO_FORMATS[format];
+  if (!definition) {
+    return { error: `不支持的 response_format: ${responseFormat}，可选值: ${Object.keys(AUDIO_FORMATS).join(", ")}` };
+  }
+
+  const rate = Number(sampleRate ?? definition.defaultSampleRate);
+  const variant = definition.variants[rate];
+  if (!variant) {
+    return { error: `${format} 不支持采样率 ${sampleRate}，可选值: ${Object.keys(definition.variants).join(", ")}` };
+  }
+
+  let upstream = variant;
+  if (typeof variant === "object") {
+    const kbps = bitrate ?? Object.keys(variant)[0];
+    upstream = variant[kbps];
+    if (!upstream) {
+      return { error: `${format} 在 ${rate}Hz 下不支持比特率 ${bitrate}kbps，可选值: ${Object.keys(variant).join(", ")}` };
+    }
+  } else if (bitrate !== undefined) {
+    return { error: `${format} 不支持指定比特率` };
+  }
+
+  return {
+    format,
+    upstream,
+    contentType: definition.contentType,
+    sampleRate: rate,
+    wrapWav: !!definition.wrapWav
+  };
+}
+
+/**
+ * 处理模型列表请求
+ * @returns {Promise<Response>} 可用模型列表 (包含当前别名表中的全部 tts-1-<别名>)
+ */
+async function handleModelsRequest() {
+  const aliases = await loadVoiceAliases();
+  const models = [
+    { id: 'tts-1', object: 'model', created: Date.now(), owned_by: 'openai' },
+    { id: 'tts-1-hd', object: 'model', created: Date.now(), owned_by: 'openai' },
+    ...Object.keys(aliases).map(v => ({
+      id: `tts-1-${v}`,
+      object: 'model',
+      created: Date.now(),
+      owned_by: 'openai'
+    }))
+  ];
+  return new Response(JSON.stringify({ object: "list", data: models }), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 处理清理预设列表请求
+ * @param {Request} request - HTTP 请求对象
+ * @returns {Promise<Response>} 可在 cleaning_options.preset 中引用的预设及其选项
+ */
+async function handleCleaningPresetsRequest(request) {
+  if (request.method !== "GET") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  const presets = await loadCleaningPresets();
+  const data = Object.entries(presets).map(([name, { description = "", ...options }]) => ({ name, description, options }));
+  return new Response(JSON.stringify({ object: "list", data }), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+  });
+}
+
+// =================================================================================
+// 鉴权与限流
+// =================================================================================
+
+// 密钥表内存缓存
+let apiKeyCache = { keys: null, loadedAt: 0 };
+
+/**
+ * 校验请求的 API 密钥
+ * 未配置任何密钥时不做鉴权，返回匿名调用方。
+ * @param {Request} request - HTTP 请求对象
+ * @returns {Promise<Object|null>} 调用方信息，密钥无效或已吊销时为 null
+ */
+async function authenticateRequest(request) {
+  const keys = await loadApiKeys();
+  if (keys.length === 0) {
+    return { name: "anonymous", rateLimitHeaders: {} };
+  }
+
+  const authHeader = request.headers.get("authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+
+  // 与每个密钥的哈希逐一做恒定时间比较，避免通过响应时间推测密钥
+  const tokenHash = await sha256Bytes(authHeader.slice(7));
+  let matched = null;
+  for (const entry of keys) {
+    if (timingSafeEqual(tokenHash, entry.hash) && !matched) {
+      matched = entry;
+    }
+  }
+
+  if (!matched || matched.disabled) return null;
+  return {
+    name: matched.name,
+    requestsPerMinute: matched.requests_per_minute || 0,
+    charsPerDay: matched.chars_per_day || 0,
+    admin: !!matched.admin,
+    rateLimitHeaders: {}
+  };
+}
+
+/**
+ * 加载密钥表 (kvStore 优先，其次 API_KEYS 环境变量，再加上单密钥 API_KEY)
+ * @returns {Promise<Object[]>} 密钥列表，每项附带密钥的 SHA-256 哈希
+ */
+async function loadApiKeys() {
+  if (apiKeyCache.keys && Date.now() - apiKeyCache.loadedAt < CONFIG_CACHE_TTL) {
+    return apiKeyCache.keys;
+  }
+
+  const stored = await kvStore.get(API_KEYS_KV_KEY, "json").catch(error => {
+    console.error("读取密钥表失败:", error);
+    return null;
+  });
+  // 配置错误时直接抛出，避免因解析失败而放开鉴权
+  const entries = stored || (typeof API_KEYS === "string" ? JSON.parse(API_KEYS) : API_KEYS) || [];
+  if (!Array.isArray(entries)) {
+    throw new Error("API_KEYS 配置必须是 JSON 数组");
+  }
+  const allEntries = API_KEY ? [...entries, { key: API_KEY, name: "default" }] : entries;
+
+  const keys = await Promise.all(allEntries
+    .filter(entry => entry && entry.key)
+    .map(async (entry, index) => ({
+      ...entry,
+      name: entry.name || `key-${index + 1}`,
+      hash: await sha256Bytes(entry.key)
+    })));
+
+  apiKeyCache = { keys, loadedAt: Date.now() };
+  return keys;
+}
+
+/**
+ * 检查并累计每分钟请求数
+ * @param {Object} caller - 调用方信息
+ * @returns {Promise<Response|null>} 超限时返回 429 响应，计数器不可用时返回 503，否则为 null
+ */
+async function checkRequestRateLimit(caller) {
+  if (!caller.requestsPerMinute) return null;
+
+  const now = Date.now();
+  const windowStart = Math.floor(now / 60000) * 60000;
+  const resetSeconds = Math.ceil((windowStart + 60000 - now) / 1000);
+  const counterKey = `ratelimit:rpm:${caller.name}:${windowStart}`;
+  let allowed, value;
+  try {
+    ({ allowed, value } = await counterStore.add(counterKey, 1, { limit: caller.requestsPerMinute, ttl: 120 }));
+  } catch (error) {
+    return counterUnavailableResponse(error, "requests");
+  }
+
+  const headers = {
+    "x-ratelimit-limit-requests": String(caller.requestsPerMinute),
+    "x-ratelimit-remaining-requests": String(Math.max(0, caller.requestsPerMinute - value)),
+    "x-ratelimit-reset-requests": `${resetSeconds}s`
+  };
+
+  if (!allowed) {
+    return errorResponse(
+      `请求过于频繁: 密钥 ${caller.name} 每分钟最多 ${caller.requestsPerMinute} 次请求`,
+      429,
+      "rate_limit_exceeded",
+      "requests",
+      { ...headers, "Retry-After": String(resetSeconds) }
+    );
+  }
+
+  Object.assign(caller.rateLimitHeaders, headers);
+  return null;
+}
+
+/**
+ * 检查并扣减每日字符额度 (UTC 自然日)
+ * @param {Object} caller - 调用方信息
+ * @param {number} characters - 本次请求的字符数
+ * @returns {Promise<Response|null>} 超额时返回 429 响应，计数器不可用时返回 503，否则为 null
+ */
+async function consumeCharacterQuota(caller, characters) {
+  if (!caller.charsPerDay) return null;
+
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const resetSeconds = Math.ceil((Date.parse(`${day}T00:00:00Z`) + 86400000 - now.getTime()) / 1000);
+  const counterKey = `quota:chars:${caller.name}:${day}`;
+  let allowed, value;
+  try {
+    ({ allowed, value } = await counterStore.add(counterKey, characters, { limit: caller.charsPerDay, ttl: 2 * 86400 }));
+  } catch (error) {
+    return counterUnavailableResponse(error, "characters");
+  }
+
+  const headers = {
+    "x-ratelimit-limit-characters": String(caller.charsPerDay),
+    "x-ratelimit-remaining-characters": String(Math.max(0, caller.charsPerDay - value)),
+    "x-ratelimit-reset-characters": `${resetSeconds}s`
+  };
+
+  if (!allowed) {
+    return errorResponse(
+      `字符额度不足: 密钥 ${caller.name} 今日剩余 ${Math.max(0, caller.charsPerDay - value)} 字符，本次需要 ${characters} 字符`,
+      429,
+      "rate_limit_exceeded",
+      "characters",
+      { ...headers, "Retry-After": String(resetSeconds) }
+    );
+  }
+
+  // 记录扣减的计数器，合成失败时按同一键退回 (跨越零点也不会退到次日)
+  caller.quotaKey = counterKey;
+  Object.assign(caller.rateLimitHeaders, headers);
+  return null;
+}
+
+/**
+ * 退回已扣减的字符额度 (合成失败时调用)
+ * @param {string|null} quotaKey - 扣减时的计数器键 (caller.quotaKey)，未扣减时为空
+ * @param {number} characters - 退回的字符数
+ */
+async function refundCharacterQuota(quotaKey, characters) {
+  if (!quotaKey || characters <= 0) return;
+  try {
+    await counterStore.add(quotaKey, -characters, { ttl: 2 * 86400 });
+  } catch (error) {
+    console.error(`退回字符额度失败 (${quotaKey}, ${characters} 字符):`, error);
+  }
+}
+
+/**
+ * 计数器不可用时拒绝请求 (限流和额度不放行)
+ * @param {Error} error - 计数器错误
+ * @param {string} type - 错误类型，与对应的 429 响应一致 (requests/characters)
+ * @returns {Response} 503 响应
+ */
+function counterUnavailableResponse(error, type) {
+  console.error("计数器请求失败:", error);
+  return errorResponse("限流计数器暂不可用，请稍后重试", 503, "rate_limiter_unavailable", type, { "Retry-After": "5" });
+}
+
+/**
+ * 创建基于 Durable Object 的原子计数器
+ * 每个计数器键对应一个对象实例，检查与累加在对象内串行执行
+ * @param {DurableObjectNamespace} namespace - TTS_COUNTER 绑定
+ * @returns {Object} 具有 add 方法的计数器
+ */
+function createDurableCounter(namespace) {
+  return {
+    /**
+     * 累加计数，设置 limit 时超限则不累加
+     * @param {string} key - 计数器键
+     * @param {number} amount - 增量 (负数表示退回，结果不低于 0)
+     * @param {Object} [options] - { limit: 上限, ttl: 过期时间 (秒) }
+     * @returns {Promise<{allowed: boolean, value: number}>} 是否已累加及当前计数；计数器不可用时抛出
+     */
+    async add(key, amount, options = {}) {
+      const stub = namespace.get(namespace.idFromName(key));
+      const response = await stub.fetch("https://counter/add", {
+        method: "POST",
+        body: JSON.stringify({ amount, limit: options.limit ?? null, ttl: options.ttl || 0 })
+      });
+      if (!response.ok) throw new Error(`计数器返回 HTTP ${response.status}`);
+      return response.json();
+    }
+  };
+}
+
+/**
+ * 创建基于 KV 的计数器 (未绑定 TTS_COUNTER 时使用)
+ * 简单的读-改-写，并发请求可能丢失计数，只是近似值；需要准确限额时绑定 TTS_COUNTER
+ * @param {Object} store - KV 兼容对象
+ * @returns {Object} 与 createDurableCounter 接口一致的计数器
+ */
+function createKVCounter(store) {
+  return {
+    async add(key, amount, options = {}) {
+      const value = Number(await store.get(key)) || 0;
+      if (options.limit != null && amount > 0 && value + amount > options.limit) {
+        return { allowed: false, value };
+      }
+      const next = Math.max(0, value + amount);
+      await store.put(key, String(next), { expirationTtl: Math.max(60, options.ttl || 0) });
+      return { allowed: true, value: next };
+    }
+  };
+}
+
+// =================================================================================
+// 用量统计
+// =================================================================================
+
+/**
+ * 写入一条语音合成用量记录
+ * 完整记录写入值；汇总所需的数值字段另存为元数据 (KV 元数据上限 1024 字节)，
+ * 汇总时只需 list 即可读取，无需逐条 get，密钥名从键名解析
+ * @param {Object} record - 用量记录 { key, voice, characters, chunks, duration_ms, status, http_status, error }
+ */
+async function recordUsage(record) {
+  const timestamp = Date.now();
+  const day = new Date(timestamp).toISOString().slice(0, 10);
+  const entry = { ...record, error: record.error?.slice(0, USAGE_ERROR_MAX_LENGTH), timestamp };
+  const metadata = {
+    characters: record.characters || 0,
+    chunks: record.chunks || 0,
+    duration_ms: record.duration_ms || 0,
+    failed: record.status === "success" ? 0 : 1,
+    rejected: record.http_status === 400 || record.http_status === 429 ? 1 : 0
+  };
+  try {
+    await kvStore.put(
+      `usage:${day}:${record.key}:${timestamp}:${crypto.randomUUID().slice(0, 8)}`,
+      JSON.stringify(entry),
+      { expirationTtl: USAGE_RETENTION_DAYS * 86400, metadata }
+    );
+  } catch (error) {
+    console.error("写入用量记录失败:", error);
+  }
+}
+
+/**
+ * 记录在合成开始前被拒绝的合成请求 (参数错误 400、限流或额度不足 429)
+ * 合成开始后的结果由各处理器在结束时记录
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象
+ * @param {URL} url - 请求 URL
+ * @param {Object} caller - 调用方信息
+ * @param {Response} response - 即将返回的响应
+ * @param {number} startedAt - 请求开始时间 (毫秒)
+ */
+function recordRejectedRequest(event, url, caller, response, startedAt) {
+  if (!USAGE_PATHS.includes(url.pathname) || event.request.method !== "POST") return;
+  if (response.status !== 400 && response.status !== 429) return;
+  event.waitUntil(response.clone().json().catch(() => null).then(body => recordUsage({
+    key: caller.name,
+    characters: 0,
+    chunks: 0,
+    duration_ms: Date.now() - startedAt,
+    status: "error",
+    http_status: response.status,
+    error: body?.error?.message
+  })));
+}
+
+/**
+ * 处理用量查询请求 (仅管理员密钥)
+ * 查询参数: start/end (YYYY-MM-DD，默认最近 7 天)、key (按密钥名过滤)、format (json/csv)
+ * @param {Request} request - HTTP 请求对象
+ * @param {URL} url - 请求 URL
+ * @param {Object} caller - 调用方信息
+ * @returns {Promise<Response>} 按密钥和日期汇总的用量
+ */
+async function handleUsageRequest(request, url, caller) {
+  if (request.method !== "GET") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+  if (!caller.admin) {
+    return errorResponse("需要管理员密钥", 403, "permission_denied");
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const end = url.searchParams.get("end") || today;
+  const start = url.searchParams.get("start") || shiftDate(end, -6);
+  const keyFilter = url.searchParams.get("key");
+  const format = url.searchParams.get("format") || "json";
+
+  const days = listDates(start, end);
+  if (!days) {
+    return errorResponse("start/end 必须是 YYYY-MM-DD 格式且 start 不晚于 end", 400, "invalid_request_error");
+  }
+  if (days.length > USAGE_MAX_RANGE_DAYS) {
+    return errorResponse(`查询范围不能超过 ${USAGE_MAX_RANGE_DAYS} 天`, 400, "invalid_request_error");
+  }
+
+  const rows = [];
+  for (const day of days) {
+    const prefix = keyFilter ? `usage:${day}:${keyFilter}:` : `usage:${day}:`;
+    const totals = new Map();
+    let cursor;
+    do {
+      const page = await kvStore.list({ prefix, cursor });
+      for (const { name, metadata } of page.keys) {
+        if (!metadata) continue;
+        // 键名为 usage:日期:密钥名:时间戳:随机串，密钥名本身可能含冒号
+        const key = name.slice(`usage:${day}:`.length).split(":").slice(0, -2).join(":");
+        if (keyFilter && key !== keyFilter) continue;
+        const row = totals.get(key) || {
+          date: day, key, requests: 0, succeeded: 0, failed: 0, rejected: 0, characters: 0, chunks: 0, duration_ms: 0
+        };
+        row.requests++;
+        row[metadata.failed ? "failed" : "succeeded"]++;
+        row.rejected += metadata.rejected || 0;
+        row.characters += metadata.characters || 0;
+        row.chunks += metadata.chunks || 0;
+        row.duration_ms += metadata.duration_ms || 0;
+        totals.set(key, row);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    rows.push(...[...totals.values()].sort((a, b) => a.key.localeCompare(b.key)));
+  }
+
+  if (format === "csv") {
+    const columns = ["date", "key", "requests", "succeeded", "failed", "rejected", "characters", "chunks", "duration_ms"];
+    const csv = [columns.join(","), ...rows.map(row => columns.map(column => csvField(row[column])).join(","))].join("\n");
+    return new Response(csv + "\n", {
+      headers: { "Content-Type": "text/csv;charset=UTF-8", ...makeCORSHeaders() }
+    });
+  }
+
+  return new Response(JSON.stringify({ object: "list", start, end, data: rows }), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 日期加减天数
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - 偏移天数
+ * @returns {string} YYYY-MM-DD
+ */
+function shiftDate(date, days) {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  if (Number.isNaN(time)) return date;
+  return new Date(time + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * 列出闭区间内的所有日期
+ * @param {string} start - 开始日期 YYYY-MM-DD
+ * @param {string} end - 结束日期 YYYY-MM-DD
+ * @returns {string[]|null} 日期列表，参数无效时为 null
+ */
+function listDates(start, end) {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!pattern.test(start) || !pattern.test(end)) return null;
+  const from = Date.parse(`${start}T00:00:00Z`);
+  const to = Date.parse(`${end}T00:00:00Z`);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) return null;
+
+  const dates = [];
+  // 超出上限一天即可判定，避免构造过长的列表
+  for (let time = from; time <= to && dates.length <= USAGE_MAX_RANGE_DAYS; time += 86400000) {
+    dates.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * CSV 字段转义
+ * @param {any} value - 字段值
+ * @returns {string} 转义后的字段
+ */
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// =================================================================================
+// 语音目录
+// =================================================================================
+
+// 目录内存缓存
+let voiceCatalogCache = { voices: null, source: null, expiresAt: 0 };
+
+// 英文多情感语音通用的风格
+const EN_US_EXPRESSIVE_STYLES = ["angry", "cheerful", "excited", "friendly", "hopeful", "sad", "shouting", "terrified", "unfriendly", "whispering"];
+// 支持角色扮演的中文语音通用的角色
+const ZH_CN_ROLES = ["Boy", "Girl", "OlderAdultFemale", "OlderAdultMale", "SeniorFemale", "SeniorMale", "YoungAdultFemale", "YoungAdultMale"];
+
+// 内置语音快照 (上游语音列表不可用时使用)
+const VOICE_CATALOG_SNAPSHOT = [
+  { name: "zh-CN-XiaoxiaoNeural", gender: "Female", local_name: "晓晓", styles: ["affectionate", "angry", "assistant", "calm", "chat", "chat-casual", "cheerful", "customerservice", "disgruntled", "fearful", "friendly", "gentle", "lyrical", "newscast", "poetry-reading", "sad", "serious", "sorry", "whisper"] },
+  { name: "zh-CN-YunxiNeural", gender: "Male", local_name: "云希", styles: ["angry", "assistant", "chat", "cheerful", "depressed", "disgruntled", "embarrassed", "fearful", "narration-relaxed", "newscast", "sad", "serious"], roles: ["Boy", "Narrator", "YoungAdultMale"] },
+  { name: "zh-CN-YunyangNeural", gender: "Male", local_name: "云扬", styles: ["customerservice", "narration-professional", "newscast-casual"] },
+  { name: "zh-CN-XiaoyiNeural", gender: "Female", local_name: "晓伊", styles: ["affectionate", "angry", "cheerful", "disgruntled", "embarrassed", "fearful", "gentle", "sad", "serious"] },
+  { name: "zh-CN-YunjianNeural", gender: "Male", local_name: "云健", styles: ["angry", "cheerful", "depressed", "disgruntled", "documentary-narration", "narration-relaxed", "sad", "serious", "sports-commentary", "sports-commentary-excited"] },
+  { name: "zh-CN-XiaochenNeural", gender: "Female", local_name: "晓辰", styles: ["livecommercial"] },
+  { name: "zh-CN-XiaohanNeural", gender: "Female", local_name: "晓涵", styles: ["affectionate", "angry", "calm", "cheerful", "disgruntled", "embarrassed", "fearful", "gentle", "sad", "serious"] },
+  { name: "zh-CN-XiaomengNeural", gender: "Female", local_name: "晓梦", styles: ["chat"] },
+  { name: "zh-CN-XiaomoNeural", gender: "Female", local_name: "晓墨", styles: ["affectionate", "angry", "calm", "cheerful", "depressed", "disgruntled", "embarrassed", "envious", "fearful", "gentle", "sad", "serious"], roles: ZH_CN_ROLES },
+  { name: "zh-CN-XiaoqiuNeural", gender: "Female", local_name: "晓秋" },
+  { name: "zh-CN-XiaoruiNeural", gender: "Female", local_name: "晓睿", styles: ["angry", "calm", "fearful", "sad"] },
+  { name: "zh-CN-XiaoshuangNeural", gender: "Female", local_name: "晓双", styles: ["chat"] },
+  { name: "zh-CN-XiaoxuanNeural", gender: "Female", local_name: "晓萱", styles: ["angry", "calm", "cheerful", "depressed", "disgruntled", "fearful", "gentle", "serious"], roles: ZH_CN_ROLES },
+  { name: "zh-CN-XiaoyanNeural", gender: "Female", local_name: "晓颜" },
+  { name: "zh-CN-XiaoyouNeural", gender: "Female", local_name: "晓悠" },
+  { name: "zh-CN-XiaozhenNeural", gender: "Female", local_name: "晓甄", styles: ["angry", "cheerful", "disgruntled", "fearful", "sad", "serious"] },
+  { name: "zh-CN-YunfengNeural", gender: "Male", local_name: "云枫", styles: ["angry", "cheerful", "depressed", "disgruntled", "fearful", "sad", "serious"] },
+  { name: "zh-CN-YunhaoNeural", gender: "Male", local_name: "云皓", styles: ["advertisement-upbeat"] },
+  { name: "zh-CN-YunxiaNeural", gender: "Male", local_name: "云夏", styles: ["angry", "calm", "cheerful", "fearful", "sad"] },
+  { name: "zh-CN-YunyeNeural", gender: "Male", local_name: "云野", styles: ["angry", "calm", "cheerful", "disgruntled", "embarrassed", "fearful", "sad", "serious"], roles: ZH_CN_ROLES },
+  { name: "zh-CN-YunzeNeural", gender: "Male", local_name: "云泽", styles: ["angry", "calm", "cheerful", "depressed", "disgruntled", "documentary-narration", "fearful", "sad", "serious"], roles: ["OlderAdultMale", "SeniorMale"] },
+  { name: "zh-CN-liaoning-XiaobeiNeural", gender: "Female", local_name: "晓北" },
+  { name: "en-US-JennyNeural", gender: "Female", local_name: "Jenny", styles: ["angry", "assistant", "chat", "cheerful", "customerservice", "excited", "friendly", "hopeful", "newscast", "sad", "shouting", "terrified", "unfriendly", "whispering"] },
+  { name: "en-US-GuyNeural", gender: "Male", local_name: "Guy", styles: ["angry", "cheerful", "excited", "friendly", "hopeful", "newscast", "sad", "shouting", "terrified", "unfriendly", "whispering"] },
+  { name: "en-US-AriaNeural", gender: "Female", local_name: "Aria", styles: ["angry", "chat", "cheerful", "customerservice", "empathetic", "excited", "friendly", "hopeful", "narration-professional", "newscast-casual", "newscast-formal", "sad", "shouting", "terrified", "unfriendly", "whispering"] },
+  { name: "en-US-DavisNeural", gender: "Male", local_name: "Davis", styles: ["chat", ...EN_US_EXPRESSIVE_STYLES] },
+  { name: "en-US-AmberNeural", gender: "Female", local_name: "Amber" },
+  { name: "en-US-AnaNeural", gender: "Female", local_name: "Ana" },
+  { name: "en-US-AshleyNeural", gender: "Female", local_name: "Ashley" },
+  { name: "en-US-BrandonNeural", gender: "Male", local_name: "Brandon" },
+  { name: "en-US-ChristopherNeural", gender: "Male", local_name: "Christopher" },
+  { name: "en-US-CoraNeural", gender: "Female", local_name: "Cora" },
+  { name: "en-US-ElizabethNeural", gender: "Female", local_name: "Elizabeth" },
+  { name: "en-US-EricNeural", gender: "Male", local_name: "Eric" },
+  { name: "en-US-JacobNeural", gender: "Male", local_name: "Jacob" },
+  { name: "en-US-JaneNeural", gender: "Female", local_name: "Jane", styles: EN_US_EXPRESSIVE_STYLES },
+  { name: "en-US-JasonNeural", gender: "Male", local_name: "Jason", styles: EN_US_EXPRESSIVE_STYLES },
+  { name: "en-US-MichelleNeural", gender: "Female", local_name: "Michelle" },
+  { name: "en-US-MonicaNeural", gender: "Female", local_name: "Monica" },
+  { name: "en-US-NancyNeural", gender: "Female", local_name: "Nancy", styles: EN_US_EXPRESSIVE_STYLES },
+  { name: "en-US-RogerNeural", gender: "Male", local_name: "Roger" },
+  { name: "en-US-SaraNeural", gender: "Female", local_name: "Sara", styles: EN_US_EXPRESSIVE_STYLES },
+  { name: "en-US-SteffanNeural", gender: "Male", local_name: "Steffan" },
+  { name: "en-US-TonyNeural", gender: "Male", local_name: "Tony", styles: EN_US_EXPRESSIVE_STYLES }
+].map(voice => ({
+  name: voice.name,
+  locale: voice.name.replace(/-[^-]+$/, ""),
+  gender: voice.gender,
+  local_name: voice.local_name,
+  styles: voice.styles || [],
+  roles: voice.roles || []
+}));
+
+/**
+ * 处理语音目录请求
+ * 查询参数: locale (前缀匹配，如 zh 或 zh-CN)、gender (Female/Male)、style (需支持该风格)
+ * @param {Request} request - HTTP 请求对象
+ * @param {URL} url - 请求 URL
+ * @returns {Promise<Response>} 语音列表
+ */
+async function handleVoicesRequest(request, url) {
+  if (request.method !== "GET") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  const { voices, source } = await getVoiceCatalog();
+  const locale = url.searchParams.get("locale")?.toLowerCase();
+  const gender = url.searchParams.get("gender")?.toLowerCase();
+  const style = url.searchParams.get("style")?.toLowerCase();
+
+  const data = voices.filter(voice =>
+    (!locale || voice.locale.toLowerCase().startsWith(locale)) &&
+    (!gender || voice.gender.toLowerCase() === gender) &&
+    (!style || voice.styles.some(s => s.toLowerCase() === style))
+  );
+
+  return new Response(JSON.stringify({ object: "list", source, data }), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 获取语音目录
+ * 依次查找内存缓存、kvStore 缓存和上游语音列表，上游不可用或离线模式下返回内置快照
+ * @param {Object} [context] - 合成上下文，用于子请求计数
+ * @returns {Promise<Object>} { voices, source }，source 为 "live" 或 "snapshot"
+ */
+async function getVoiceCatalog(context) {
+  if (voiceCatalogCache.voices && Date.now() < voiceCatalogCache.expiresAt) {
+    return voiceCatalogCache;
+  }
+
+  const stored = await kvStore.get(VOICE_CATALOG_KV_KEY, "json").catch(() => null);
+  if (stored?.voices?.length && Date.now() < stored.expiresAt) {
+    voiceCatalogCache = stored;
+    return stored;
+  }
+
+  // 离线模式不请求上游，也不写入缓存；按实际合成时获取语音列表的开销计一个子请求
+  if (context?.offline) {
+    useSubrequest(context);
+    return { voices: VOICE_CATALOG_SNAPSHOT, source: "snapshot" };
+  }
+
+  try {
+    const voices = await fetchVoiceList(context);
+    voiceCatalogCache = { voices, source: "live", expiresAt: Date.now() + VOICE_CATALOG_TTL * 1000 };
+    await kvStore.put(VOICE_CATALOG_KV_KEY, JSON.stringify(voiceCatalogCache), { expirationTtl: VOICE_CATALOG_TTL })
+      .catch(error => console.error("写入语音目录缓存失败:", error));
+  } catch (error) {
+    console.error("获取语音列表失败，使用内置快照:", error);
+    voiceCatalogCache = {
+      voices: VOICE_CATALOG_SNAPSHOT,
+      source: "snapshot",
+      expiresAt: Date.now() + VOICE_CATALOG_FALLBACK_TTL * 1000
+    };
+  }
+  return voiceCatalogCache;
+}
+
+/**
+ * 从 Microsoft 拉取语音列表并整理为统一格式
+ * @param {Object} [context] - 合成上下文，用于子请求计数
+ * @returns {Promise<Object[]>} 语音列表 { name, locale, gender, local_name, styles, roles }
+ */
+async function fetchVoiceList(context) {
+  const endpoint = await getEndpoint(context);
+  useSubrequest(context);
+  const response = await fetch(`https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/voices/list`, {
+    headers: {
+      "Authorization": endpoint.t,
+      "User-Agent": "okhttp/4.5.0"
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`语音列表请求失败: ${response.status}`);
+  }
+
+  const list = await response.json();
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("语音列表为空");
+  }
+
+  return list.map(voice => ({
+    name: voice.ShortName,
+    locale: voice.Locale,
+    gender: voice.Gender,
+    local_name: voice.LocalName || voice.DisplayName,
+    styles: voice.StyleList || [],
+    roles: voice.RolePlayList || []
+  }));
+}
+
+/**
+ * 按语音目录校验语音名称和风格
+ * 名称大小写不敏感并返回规范名称；风格为 general 且语音没有任何风格时返回 null，
+ * 以便 getSsml 省略 express-as。上游目录不可用 (使用快照) 时，
+ * 形如 xx-XX-NameNeural 的未知语音无法确认，予以放行。
+ * @param {string} voiceName - 语音名称
+ * @param {string} style - 语音风格
+ * @param {Object} [context] - 合成上下文，用于子请求计数
+ * @returns {Promise<Object>} { voice, style }，校验失败时为 { error }
+ */
+async function validateVoice(voiceName, style, context) {
+  const { voices, source } = await getVoiceCatalog(context);
+  const normalizedStyle = String(style || "general");
+  const voice = voices.find(v => v.name.toLowerCase() === String(voiceName).toLowerCase());
+
+  if (!voice) {
+    if (source === "snapshot" && /^[a-z]{2,3}(-[A-Za-z0-9]+)+Neural$/.test(voiceName)) {
+      console.warn(`语音目录不可用，无法校验语音 ${voiceName}`);
+      return { voice: voiceName, style: normalizedStyle };
+    }
+    const suggestions = suggestClosest(voiceName, voices.map(v => v.name));
+    const hint = suggestions.length > 0 ? `，您是否想使用: ${suggestions.join(", ")}` : "，可通过 /v1/voices 查看可用语音";
+    return { error: `未知的语音: ${voiceName}${hint}` };
+  }
+
+  if (normalizedStyle.toLowerCase() === "general") {
+    return { voice: voice.name, style: voice.styles.length > 0 ? "general" : null };
+  }
+
+  if (voice.styles.length === 0) {
+    return { error: `语音 ${voice.name} 不支持任何风格，请省略 style 或使用 "general"` };
+  }
+
+  const matchedStyle = voice.styles.find(s => s.toLowerCase() === normalizedStyle.toLowerCase());
+  if (!matchedStyle) {
+    const suggestions = suggestClosest(normalizedStyle, voice.styles);
+    const hint = suggestions.length > 0 ? `，您是否想使用: ${suggestions.join(", ")}` : "";
+    return { error: `语音 ${voice.name} 不支持风格 ${normalizedStyle}${hint}。可用风格: ${voice.styles.join(", ")}` };
+  }
+
+  return { voice: voice.name, style: matchedStyle };
+}
+
+// =================================================================================
+// 核心 TTS 逻辑 (滑动窗口并发调度)
+// =================================================================================
+
+/**
+ * 流式语音生成
+ * 先并行读取各文本块的音频缓存 (不占用合成的子请求)，据此返回 X-Cache/X-Cache-Hits；
+ * 随后立即返回响应，音频块在后台按顺序合成并写入；中途失败时中止流。
+ * @param {string[]} textChunks - 文本块数组
+ * @param {Object} context - 合成上下文
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Response>} 流式音频响应
+ */
+async function streamVoice(textChunks, context, ...ttsArgs) {
+  await prefetchAudioCache(textChunks, context, ...ttsArgs);
+  const { readable, writable } = new TransformStream();
+
+  // 不等待管道完成，客户端可在首个音频块合成后立即收到数据；
+  // 交给 waitUntil 保持请求存活，直到写完最后一块并记录用量
+  const pipeline = pipeChunksToStream(writable.getWriter(), textChunks, context, ...ttsArgs)
+    .catch(error => console.error("流式 TTS 失败:", error));
+  if (context.waitUntil) context.waitUntil(pipeline);
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": context.audioFormat.contentType,
+      "X-Subrequest-Limit": String(context.subrequestLimit),
+      ...getCacheHeaders(context, textChunks.length),
+      ...makeCORSHeaders()
+    }
+  });
+}
+
+/**
+ * 将文本块流式传输到响应流
+ * 每个音频块在其之前的块全部写出后立即写入，后续块仍在并发合成
+ * @param {WritableStreamDefaultWriter} writer - 写入器
+ * @param {string[]} chunks - 文本块
+ * @param {Object} context - 合成上下文
+ * @param {...any} ttsArgs - TTS 参数
+ */
+async function pipeChunksToStream(writer, chunks, context, ...ttsArgs) {
+  const { audioFormat } = context;
+  try {
+    // WAV 流式输出时总长度未知，先写入长度占位的文件头
+    if (audioFormat.wrapWav) {
+      await writer.write(createWavHeader(null, audioFormat.sampleRate));
+    }
+
+    const audioPromises = scheduleWithConcurrency(
+      chunks,
+      context.concurrency,
+      (chunk, index) => getCachedAudioChunk(index, chunk, ...ttsArgs, context)
+    );
+
+    // 按顺序写入，不等待后续块完成
+    for (const audioPromise of audioPromises) {
+      const blob = await audioPromise;
+      await writer.write(new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    await writer.close();
+    context.onComplete("success");
+  } catch (error) {
+    // 中止流，客户端会收到连接中断而不是被截断的"成功"音频
+    await writer.abort(error).catch(() => { });
+    context.onComplete("error", error);
+    throw error;
+  }
+}
+
+/**
+ * 非流式语音生成
+ * @param {string[]} textChunks - 文本块数组
+ * @param {Object} context - 合成上下文
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Response>} 完整音频响应
+ */
+async function getVoice(textChunks, context, ...ttsArgs) {
+  const { audioFormat } = context;
+  try {
+    const allAudioBlobs = await Promise.all(scheduleWithConcurrency(
+      textChunks,
+      context.concurrency,
+      (chunk, index) => getCachedAudioChunk(index, chunk, ...ttsArgs, context)
+    ));
+
+    // 按各块实际音频时长估算时间戳 (需在写入 WAV 头之前)
+    const timing = context.timestamps.length > 0
+      ? await estimateTimestamps(textChunks, allAudioBlobs, context)
+      : null;
+
+    // WAV 需要在所有 PCM 数据前写入单个 RIFF 头
+    if (audioFormat.wrapWav) {
+      const dataLength = allAudioBlobs.reduce((sum, blob) => sum + blob.size, 0);
+      allAudioBlobs.unshift(createWavHeader(dataLength, audioFormat.sampleRate));
+    }
+
+    // 合并所有音频数据
+    const concatenatedAudio = new Blob(allAudioBlobs, { type: audioFormat.contentType });
+    context.onComplete("success");
+
+    // 字幕接口只返回字幕文件
+    if (context.subtitles) {
+      return new Response(renderSubtitles(timing.sentences, context.subtitles), {
+        headers: {
+          "Content-Type": SUBTITLE_FORMATS[context.subtitles.format],
+          "X-Audio-Duration": String(timing.duration),
+          "X-Subrequest-Count": String(context.subrequests),
+          "X-Subrequest-Limit": String(context.subrequestLimit),
+          ...getCacheHeaders(context, textChunks.length),
+          ...makeCORSHeaders()
+        }
+      });
+    }
+
+    // 请求时间戳时以 JSON 返回 base64 音频和时间信息
+    if (timing) {
+      const audio = await bytesToBase64(new Uint8Array(await concatenatedAudio.arrayBuffer()));
+      return new Response(JSON.stringify({ audio, content_type: audioFormat.contentType, ...timing }), {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Subrequest-Count": String(context.subrequests),
+          "X-Subrequest-Limit": String(context.subrequestLimit),
+          ...getCacheHeaders(context, textChunks.length),
+          ...makeCORSHeaders()
+        }
+      });
+    }
+
+    return new Response(concatenatedAudio, {
+      headers: {
+        "Content-Type": audioFormat.contentType,
+        "X-Subrequest-Count": String(context.subrequests),
+        "X-Subrequest-Limit": String(context.subrequestLimit),
+        ...getCacheHeaders(context, textChunks.length),
+        ...makeCORSHeaders()
+      }
+    });
+  } catch (error) {
+    console.error("非流式 TTS 失败:", error);
+    context.onComplete("error", error);
+    return errorResponse(error.message, 500, "tts_generation_error");
+  }
+}
+
+/**
+ * 创建单次合成请求的上下文，用于在所有文本块之间共享配置、子请求计数、重试预算和缓存统计
+ * @param {Object} audioFormat - 输出格式信息
+ * @param {Object} [options] - 合成选项
+ * @param {number} [options.concurrency] - 并发数
+ * @param {number} [options.maxRetries] - 单个文本块最大重试次数 (不超过 MAX_CHUNK_RETRIES)
+ * @param {boolean} [options.bypassCache] - 是否跳过音频缓存读取
+ * @param {function(Promise): void} [options.waitUntil] - 登记响应后继续执行的后台任务 (写入音频缓存)，缺省时同步等待
+ * @param {string} [options.inputType] - 输入类型，为 "ssml" 时文本块本身即完整的 SSML 文档
+ * @param {string[]} [options.timestamps] - 需要返回的时间戳粒度 (word/sentence)
+ * @param {Object} [options.subtitles] - 字幕选项 { format, maxChars }，设置时只返回字幕
+ * @param {Object[]} [options.lexicon] - 发音词典，纯文本模式生成 SSML 时使用
+ * @param {boolean} [options.offline] - 离线模式 (预览)，语音目录未缓存时使用内置快照，不请求上游
+ * @param {function(string, Error=): void} [options.onComplete] - 合成结束回调，参数为 "success" 或 "error"
+ * @returns {Object} 合成上下文
+ */
+function createSynthesisContext(audioFormat, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = MAX_CHUNK_RETRIES,
+    bypassCache = false,
+    inputType = "text",
+    timestamps = [],
+    subtitles = null,
+    lexicon = [],
+    offline = false,
+    waitUntil = null,
+    onComplete = () => { }
+  } = options;
+  return {
+    audioFormat,
+    concurrency: Math.max(1, Math.floor(Number(concurrency)) || DEFAULT_CONCURRENCY),
+    maxRetries: Math.min(Math.max(0, Math.floor(Number(maxRetries)) || 0), MAX_CHUNK_RETRIES),
+    retriesLeft: RETRY_BUDGET,
+    subrequests: 0,
+    subrequestLimit: MAX_SUBREQUESTS,
+    bypassCache: !!bypassCache,
+    cacheHits: 0,
+    prefetchedAudio: null, // 预读的音频缓存 (缓存键 -> 音频数据)，设置后不再逐块读取缓存
+    tokenRefresh: null,   // 进行中的 Token 刷新，供本请求的并发文本块共享
+    inputType,
+    timestamps,
+    subtitles,
+    lexicon,
+    offline: !!offline,
+    waitUntil,
+    onComplete
+  };
+}
+
+/**
+ * 生成音频缓存相关的响应头
+ * @param {Object} context - 合成上下文
+ * @param {number} chunkCount - 文本块总数
+ * @returns {Object} 响应头；缓存禁用时为空
+ */
+function getCacheHeaders(context, chunkCount) {
+  if (AUDIO_CACHE_TTL <= 0) return {};
+  if (context.bypassCache) return { "X-Cache": "BYPASS" };
+  return {
+    // 所有文本块都来自缓存才算 HIT
+    "X-Cache": chunkCount > 0 && context.cacheHits === chunkCount ? "HIT" : "MISS",
+    "X-Cache-Hits": `${context.cacheHits}/${chunkCount}`
+  };
+}
+
+/**
+ * 占用一个子请求配额，超出上限时抛出错误
+ * @param {Object} [context] - 合成上下文，缺省时不计数
+ */
+function useSubrequest(context) {
+  if (!context) return;
+  if (context.subrequests >= context.subrequestLimit) {
+    const error = new Error(`已达到单次请求的子请求上限 (${context.subrequestLimit})`);
+    error.retryable = false;
+    throw error;
+  }
+  context.subrequests++;
+}
+
+/**
+ * 滑动窗口并发调度
+ * 始终保持最多 limit 个任务在执行，任一任务完成即启动下一个；
+ * 返回的 Promise 数组与输入一一对应，便于按顺序消费结果。
+ * 某个任务失败后不再启动新任务，尚未启动的任务以同一错误拒绝。
+ * @param {Array} items - 任务输入
+ * @param {number} limit - 最大并发数
+ * @param {function(any, number): Promise<any>} worker - 任务处理函数
+ * @returns {Promise[]} 按输入顺序排列的结果 Promise
+ */
+function scheduleWithConcurrency(items, limit, worker) {
+  const deferreds = items.map(() => {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+    // 避免尚未被消费的失败任务产生未处理的 rejection
+    deferred.promise.catch(() => { });
+    return deferred;
+  });
+
+  let nextIndex = 0;
+  let failed = false;
+
+  const launchNext = () => {
+    if (failed || nextIndex >= items.length) return;
+    const index = nextIndex++;
+    Promise.resolve()
+      .then(() => worker(items[index], index))
+      .then(result => {
+        deferreds[index].resolve(result);
+        launchNext();
+      }, error => {
+        failed = true;
+        deferreds[index].reject(error);
+        // 后续未启动的任务不再执行
+        while (nextIndex < items.length) deferreds[nextIndex++].reject(error);
+      });
+  };
+
+  for (let i = 0; i < Math.min(limit, items.length); i++) launchNext();
+  return deferreds.map(deferred => deferred.promise);
+}
+
+/**
+ * 计算文本块的音频缓存键 (SSML 与输出格式的哈希)
+ * @param {string} text - 文本内容
+ * @param {...any} args - 其余参数同 getAudioChunk
+ * @returns {Promise<string>} 缓存键
+ */
+function getAudioCacheKey(text, ...args) {
+  const [voiceName, rate, pitch, style, outputFormat, context] = args;
+  return sha256Hex(`${outputFormat}\n${getChunkSsml(text, voiceName, rate, pitch, style, context)}`);
+}
+
+/**
+ * 并行读取全部文本块的音频缓存并计入命中数，供 getCachedAudioChunk 直接使用
+ * 用于需要在合成前确定缓存统计的场景 (流式响应的响应头)
+ * @param {string[]} textChunks - 文本块
+ * @param {Object} context - 合成上下文
+ * @param {...any} ttsArgs - TTS 参数
+ */
+async function prefetchAudioCache(textChunks, context, ...ttsArgs) {
+  if (AUDIO_CACHE_TTL <= 0 || context.bypassCache) return;
+  const entries = await Promise.all(textChunks.map(async text => {
+    const key = await getAudioCacheKey(text, ...ttsArgs, context);
+    return [key, await readAudioCache(key)];
+  }));
+  context.prefetchedAudio = new Map(entries.filter(([, audio]) => audio));
+  context.cacheHits += context.prefetchedAudio.size;
+}
+
+/**
+ * 获取单个文本块的音频数据，优先读取音频缓存
+ * 未命中时合成并写回缓存；Token 在首次需要合成时才获取。
+ * @param {number} index - 文本块序号
+ * @param {string} text - 文本内容
+ * @param {...any} args - 其余参数同 getAudioChunk
+ * @returns {Promise<Blob>} 音频 Blob
+ */
+async function getCachedAudioChunk(index, text, ...args) {
+  if (AUDIO_CACHE_TTL <= 0) {
+    return getAudioChunkWithRetry(index, text, ...args);
+  }
+
+  const context = args[args.length - 1];
+  const cacheKey = await getAudioCacheKey(text, ...args);
+
+  if (context.prefetchedAudio) {
+    // 已预读并计入命中数
+    const cached = context.prefetchedAudio.get(cacheKey);
+    if (cached) return new Blob([cached]);
+  } else if (!context.bypassCache) {
+    const cached = await readAudioCache(cacheKey);
+    if (cached) {
+      context.cacheHits++;
+      return new Blob([cached]);
+    }
+  }
+
+  const blob = await getAudioChunkWithRetry(index, text, ...args);
+  // 写缓存不阻塞后续文本块；没有事件对象时 (队列任务) 同步等待，避免调用结束后写入丢失
+  const write = writeAudioCache(cacheKey, await blob.arrayBuffer());
+  if (context.waitUntil) context.waitUntil(write);
+  else await write;
+  return blob;
+}
+
+/**
+ * 读取音频缓存
+ * @param {string} key - 缓存键
+ * @returns {Promise<ArrayBuffer|null>} 音频数据，未命中时为 null
+ */
+async function readAudioCache(key) {
+  try {
+    if (typeof caches !== "undefined") {
+      const response = await caches.default.match(getAudioCacheUrl(key));
+      return response ? await response.arrayBuffer() : null;
+    }
+    return await kvStore.get(AUDIO_CACHE_PREFIX + key, "arrayBuffer");
+  } catch (error) {
+    console.error("读取音频缓存失败:", error);
+    return null;
+  }
+}
+
+/**
+ * 写入音频缓存，失败时仅记录日志
+ * @param {string} key - 缓存键
+ * @param {ArrayBuffer} audio - 音频数据
+ */
+async function writeAudioCache(key, audio) {
+  try {
+    if (typeof caches !== "undefined") {
+      await caches.default.put(getAudioCacheUrl(key), new Response(audio, {
+        headers: { "Cache-Control": `public, max-age=${AUDIO_CACHE_TTL}` }
+      }));
+      return;
+    }
+    // KV 要求过期时间至少 60 秒
+    await kvStore.put(AUDIO_CACHE_PREFIX + key, audio, { expirationTtl: Math.max(60, AUDIO_CACHE_TTL) });
+  } catch (error) {
+    console.error("写入音频缓存失败:", error);
+  }
+}
+
+/**
+ * 生成 Cache API 使用的缓存 URL
+ * @param {string} key - 缓存键
+ * @returns {string} 缓存 URL
+ */
+function getAudioCacheUrl(key) {
+  return `https://tts-audio-cache.internal/${key}`;
+}
+
+/**
+ * 获取单个文本块的音频数据，失败时按指数退避重试
+ * 429/5xx 与网络错误会重试；401/403 会先作废 Token 再重试。
+ * 重试次数同时受单块上限和整个请求共享的重试预算约束。
+ * @param {number} index - 文本块序号 (用于错误信息)
+ * @param {string} text - 文本内容
+ * @param {...any} args - 其余参数同 getAudioChunk
+ * @returns {Promise<Blob>} 音频 Blob
+ */
+async function getAudioChunkWithRetry(index, text, ...args) {
+  const context = args[args.length - 1];
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await getAudioChunk(text, ...args);
+    } catch (error) {
+      const canRetry = isRetryableError(error) &&
+        attempt < context.maxRetries &&
+        context.retriesLeft > 0;
+
+      if (!canRetry) {
+        const plainText = text.replace(/<[^>]+>/g, "").trim();
+        const excerpt = plainText.length > 30 ? `${plainText.slice(0, 30)}…` : plainText;
+        const retried = attempt > 0 ? ` (已重试 ${attempt} 次)` : "";
+        const wrapped = new Error(`文本块 #${index + 1} 合成失败${retried}: "${excerpt}" - ${error.message}`);
+        wrapped.status = error.status;
+        throw wrapped;
+      }
+
+      context.retriesLeft--;
+      if (error.status === 401 || error.status === 403) {
+        await invalidateToken(error.token);
+      }
+
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      console.warn(`文本块 #${index + 1} 第 ${attempt + 1} 次重试，${delay}ms 后进行: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * 判断错误是否值得重试
+ * @param {Error} error - getAudioChunk 抛出的错误
+ * @returns {boolean} 是否可重试
+ */
+function isRetryableError(error) {
+  if (error.retryable === false) return false;
+  // 无状态码视为网络错误
+  if (!error.status) return true;
+  return error.status === 429 || error.status >= 500 || error.status === 401 || error.status === 403;
+}
+
+/**
+ * 计算带抖动的指数退避延迟
+ * @param {number} attempt - 已失败的次数 (从 0 开始)
+ * @param {number} [retryAfter] - 上游 Retry-After 指定的秒数
+ * @returns {number} 延迟毫秒数
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, RETRY_MAX_DELAY);
+  }
+  const ceiling = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  // 半抖动：保留一半基础延迟，另一半随机，避免并发块同时重试
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * 获取单个文本块的音频数据
+ * @param {string} text - 文本内容
+ * @param {string} voiceName - 语音名称
+ * @param {string} rate - 语速
+ * @param {string} pitch - 音调
+ * @param {string} style - 语音风格
+ * @param {string} outputFormat - 输出格式
+ * @param {Object} [context] - 合成上下文，用于子请求计数
+ * @returns {Promise<Blob>} 音频 Blob
+ */
+async function getAudioChunk(text, voiceName, rate, pitch, style, outputFormat, context) {
+  const endpoint = await getEndpoint(context);
+  const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`;
+  const ssml = getChunkSsml(text, voiceName, rate, pitch, style, context);
+
+  useSubrequest(context);
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Authorization": endpoint.t,
+      "Content-Type": "application/ssml+xml",
+      "User-Agent": "okhttp/4.5.0",
+      "X-Microsoft-OutputFormat": outputFormat
+    },
+    body: ssml
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Edge TTS API 错误: ${response.status} ${response.statusText} - ${errorText}`);
+    error.status = response.status;
+    error.retryAfter = Number(response.headers.get("Retry-After")) || 0;
+    error.token = endpoint.t;
+    throw error;
+  }
+
+  return response.blob();
+}
+
+
+// =================================================================================
+// 稳定的身份验证与辅助函数
+// =================================================================================
+
+// Token 缓存信息 (当前 isolate 内的一级缓存，持久化副本保存在 kvStore)
+let tokenInfo = { endpoint: null, token: null, expiredAt: null };
+const TOKEN_REFRESH_BEFORE_EXPIRY = 5 * 60; // 提前 5 分钟刷新 Token
+const TOKEN_KV_KEY = "token:endpoint";
+// 刷新锁 - 借用 counterStore 的原子计数 (上限 1)，同一时间只有一个请求签名获取新 Token
+const TOKEN_REFRESH_LOCK_KEY = "lock:token-refresh";
+const TOKEN_REFRESH_LOCK_TTL = 30;    // 锁的最长持有时间 (秒)，持有者中断时到期自动释放
+const TOKEN_REFRESH_WAIT = 5000;      // 等待其他请求刷新的最长时间 (毫秒)，超时后自行刷新
+const TOKEN_REFRESH_POLL = 250;       // 等待期间检查 Token 的间隔 (毫秒)
+// 当前 isolate 内是否已有请求持有刷新锁 (只作标记，不共享 Promise)
+let tokenRefreshLocked = false;
+
+/**
+ * 获取 Microsoft TTS 服务端点和 Token
+ * 依次查找内存缓存、持久化缓存，都不可用时才重新签名获取；
+ * 同一请求内的并发调用只会触发一次刷新。跨请求 (包括其他 isolate) 通过刷新锁只让一个请求签名获取，
+ * 其余请求轮询内存缓存和持久化副本等待其结果，不占用子请求；
+ * 不直接共享 Promise，因为 Workers 不允许等待其他请求发起的 I/O。
+ * @param {Object} [context] - 合成上下文，用于子请求计数和共享进行中的刷新
+ * @returns {Promise<Object>} 端点信息对象
+ */
+async function getEndpoint(context) {
+  // 检查 Token 是否仍然有效
+  if (isTokenFresh(tokenInfo)) {
+    return tokenInfo.endpoint;
+  }
+
+  if (!context) return refreshEndpoint();
+  if (!context.tokenRefresh) {
+    context.tokenRefresh = refreshEndpoint(context).finally(() => {
+      context.tokenRefresh = null;
+    });
+  }
+  return context.tokenRefresh;
+}
+
+/**
+ * 刷新端点和 Token，优先复用其他 isolate 写入的持久化 Token
+ * 其他请求持有刷新锁时等待其写入新 Token，超时后自行刷新
+ * @param {Object} [context] - 合成上下文，用于子请求计数
+ * @returns {Promise<Object>} 端点信息对象
+ */
+async function refreshEndpoint(context) {
+  const stored = await kvStore.get(TOKEN_KV_KEY, "json").catch(error => {
+    console.error("读取持久化 Token 失败:", error);
+    return null;
+  });
+  if (isTokenFresh(stored)) {
+    tokenInfo = stored;
+    return stored.endpoint;
+  }
+
+  const locked = await acquireTokenRefreshLock();
+  if (!locked) {
+    const refreshed = await waitForTokenRefresh();
+    if (refreshed) return refreshed.endpoint;
+  }
+
+  const now = Date.now() / 1000;
+  const endpointUrl = "https://dev.microsofttranslator.com/apps/endpoint?api-version=1.0";
+  const clientId = crypto.randomUUID().replace(/-/g, "");
+
+  try {
+    useSubrequest(context);
+    const response = await fetch(endpointUrl, {
+      method: "POST",
+      headers: {
+        "Accept-Language": "zh-Hans",
+        "X-ClientVersion": "4.0.530a 5fe1dc6c",
+        "X-UserId": "0f04d16a175c411e",
+        "X-HomeGeographicRegion": "zh-Hans-CN",
+        "X-ClientTraceId": clientId,
+        "X-MT-Signature": await sign(endpointUrl),
+        "User-Agent": "okhttp/4.5.0",
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": "0",
+        "Accept-Encoding": "gzip"
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`获取端点失败: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // 解析 JWT Token 获取过期时间
+    const jwt = data.t.split(".")[1];
+    const decodedJwt = JSON.parse(atob(jwt));
 
     // 更新 Token 缓存
     tokenInfo = {
@@ -379,85 +2606,3320 @@ async function getEndpoint() {
       token: data.t,
       expiredAt: decodedJwt.exp
     };
+    await storeToken(tokenInfo);
+
+    console.log(`成功获取新 Token，有效期 ${((decodedJwt.exp - now) / 60).toFixed(1)} 分钟`);
+    return data;
+  } catch (error) {
+    console.error("获取端点失败:", error);
+
+    // 如果有缓存的 Token，使用过期的 Token 作为备用
+    const fallback = tokenInfo.token ? tokenInfo : stored;
+    if (fallback?.token) {
+      console.log("使用过期的缓存 Token 作为备用");
+      return fallback.endpoint;
+    }
+
+    throw error;
+  } finally {
+    if (locked) await releaseTokenRefreshLock();
+  }
+}
+
+/**
+ * 获取 Token 刷新锁
+ * 计数器不可用时视为已获取 (直接刷新，退化为各请求各自刷新)
+ * @returns {Promise<boolean>} 是否由当前请求负责刷新
+ */
+async function acquireTokenRefreshLock() {
+  if (tokenRefreshLocked) return false;
+  tokenRefreshLocked = true;
+  try {
+    const { allowed } = await counterStore.add(TOKEN_REFRESH_LOCK_KEY, 1, { limit: 1, ttl: TOKEN_REFRESH_LOCK_TTL });
+    if (!allowed) tokenRefreshLocked = false;
+    return allowed;
+  } catch (error) {
+    console.error("获取 Token 刷新锁失败:", error);
+    return true;
+  }
+}
+
+/**
+ * 释放 Token 刷新锁
+ */
+async function releaseTokenRefreshLock() {
+  tokenRefreshLocked = false;
+  try {
+    await counterStore.add(TOKEN_REFRESH_LOCK_KEY, -1, { ttl: TOKEN_REFRESH_LOCK_TTL });
+  } catch (error) {
+    console.error("释放 Token 刷新锁失败:", error);
+  }
+}
+
+/**
+ * 等待持有刷新锁的请求写入新 Token
+ * @returns {Promise<Object|null>} Token 缓存信息，超时时为 null
+ */
+async function waitForTokenRefresh() {
+  const deadline = Date.now() + TOKEN_REFRESH_WAIT;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, TOKEN_REFRESH_POLL));
+    if (isTokenFresh(tokenInfo)) return tokenInfo;
+    const stored = await kvStore.get(TOKEN_KV_KEY, "json").catch(() => null);
+    if (isTokenFresh(stored)) {
+      tokenInfo = stored;
+      return stored;
+    }
+  }
+  return null;
+}
+
+/**
+ * 判断 Token 缓存是否仍在有效期内 (预留提前刷新时间)
+ * @param {Object|null} info - Token 缓存信息
+ * @returns {boolean} 是否有效
+ */
+function isTokenFresh(info) {
+  return !!(info && info.token && info.expiredAt &&
+    Date.now() / 1000 < info.expiredAt - TOKEN_REFRESH_BEFORE_EXPIRY);
+}
+
+/**
+ * 将 Token 写入持久化存储，过期时间与 JWT 的 exp 一致
+ * @param {Object} info - Token 缓存信息
+ */
+async function storeToken(info) {
+  // KV 要求过期时间至少在 60 秒之后
+  if (info.expiredAt - Date.now() / 1000 < 60) return;
+  try {
+    await kvStore.put(TOKEN_KV_KEY, JSON.stringify(info), { expiration: info.expiredAt });
+  } catch (error) {
+    console.error("写入持久化 Token 失败:", error);
+  }
+}
+
+/**
+ * 作废缓存的 Token，使下一次 getEndpoint 重新获取
+ * @param {string} [token] - 失效的 Token；若缓存已被其他请求刷新则保留新 Token
+ */
+async function invalidateToken(token) {
+  if (!token || tokenInfo.token === token) {
+    tokenInfo = { endpoint: null, token: null, expiredAt: null };
+  }
+  try {
+    const stored = await kvStore.get(TOKEN_KV_KEY, "json");
+    if (stored && (!token || stored.token === token)) {
+      await kvStore.delete(TOKEN_KV_KEY);
+    }
+  } catch (error) {
+    console.error("删除持久化 Token 失败:", error);
+  }
+}
+
+/**
+ * 生成 Microsoft Translator 签名
+ * @param {string} urlStr - 要签名的 URL
+ * @returns {Promise<string>} 签名字符串
+ */
+async function sign(urlStr) {
+  const url = urlStr.split("://")[1];
+  const encodedUrl = encodeURIComponent(url);
+  const uuidStr = crypto.randomUUID().replace(/-/g, "");
+  const formattedDate = (new Date()).toUTCString().replace(/GMT/, "").trim() + " GMT";
+
+  // 构建待签名字符串
+  const bytesToSign = `MSTranslatorAndroidApp${encodedUrl}${formattedDate}${uuidStr}`.toLowerCase();
+
+  // 解码密钥并生成 HMAC 签名
+  const decode = await base64ToBytes("oik6PdDdMnOXemTbwvMn9de/h9lFnfBaCWbGMMZqqoSaQaqUOqjVGm5NqsmjcBI1x+sS9ugjB55HEJWRiFXYFw==");
+  const signData = await hmacSha256(decode, bytesToSign);
+  const signBase64 = await bytesToBase64(signData);
+
+  return `MSTranslatorAndroidApp::${signBase64}::${formattedDate}::${uuidStr}`;
+}
+
+/**
+ * HMAC-SHA256 签名
+ * @param {Uint8Array} key - 密钥
+ * @param {string} data - 待签名数据
+ * @returns {Promise<Uint8Array>} 签名结果
+ */
+async function hmacSha256(key, data) {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    key,
+    { name: "HMAC", hash: { name: "SHA-256" } },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", cryptoKey, new TextEncoder().encode(data));
+  return new Uint8Array(signature);
+}
+
+/**
+ * SHA-256 哈希
+ * @param {string} data - 待哈希数据
+ * @returns {Promise<Uint8Array>} 哈希字节
+ */
+async function sha256Bytes(data) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(data));
+  return new Uint8Array(digest);
+}
+
+/**
+ * SHA-256 哈希 (十六进制)
+ * @param {string} data - 待哈希数据
+ * @returns {Promise<string>} 十六进制哈希字符串
+ */
+async function sha256Hex(data) {
+  return bytesToHex(await sha256Bytes(data));
+}
+
+/**
+ * 字节数组转十六进制字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} 十六进制字符串
+ */
+function bytesToHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * 恒定时间比较两个字节数组
+ * @param {Uint8Array} a - 字节数组
+ * @param {Uint8Array} b - 字节数组
+ * @returns {boolean} 是否相等
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Base64 字符串转字节数组
+ * @param {string} base64 - Base64 字符串
+ * @returns {Promise<Uint8Array>} 字节数组
+ */
+async function base64ToBytes(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 字节数组转 Base64 字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {Promise<string>} Base64 字符串
+ */
+async function bytesToBase64(bytes) {
+  // 分段转换，避免大数组超出参数个数限制
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+
+// =================================================================================
+// 对话脚本
+// =================================================================================
+
+/**
+ * 规范化说话人映射，键统一为小写
+ * @param {Object} speakers - 说话人到语音名、别名或 { voice, style, speed, pitch } 的映射
+ * @returns {Object} 小写说话人名到 { voice, style, speed, pitch } 的映射
+ */
+function normalizeSpeakerMap(speakers) {
+  const map = {};
+  for (const [name, value] of Object.entries(speakers || {})) {
+    map[name.trim().toLowerCase()] = typeof value === "string" ? { voice: value } : { ...value };
+  }
+  return map;
+}
+
+/**
+ * 解析对话脚本
+ * 支持 JSON 数组 [{ speaker, text, style, speed, pitch }] 和 "说话人: 台词" 文本两种格式；
+ * 文本格式中不以已知说话人开头的行视为上一轮台词的延续。
+ * @param {Array|string} script - 对话脚本
+ * @param {Object} speakers - 说话人映射
+ * @returns {Object[]} 轮次数组 [{ speaker, text, style, speed, pitch }]，失败时为 { error }
+ */
+function parseDialogueScript(script, speakers) {
+  if (!speakers || typeof speakers !== "object" || Array.isArray(speakers) || Object.keys(speakers).length === 0) {
+    return { error: "'speakers' 必须是说话人到语音的映射对象" };
+  }
+  const speakerMap = normalizeSpeakerMap(speakers);
+  for (const [name, profile] of Object.entries(speakerMap)) {
+    if (!profile.voice) return { error: `说话人 ${name} 未指定 voice` };
+  }
+
+  let turns;
+  if (Array.isArray(script)) {
+    turns = [];
+    for (const [index, turn] of script.entries()) {
+      if (!turn || typeof turn.speaker !== "string" || typeof turn.text !== "string") {
+        return { error: `脚本第 ${index + 1} 轮缺少 speaker 或 text` };
+      }
+      turns.push({ speaker: turn.speaker.trim(), text: turn.text, style: turn.style, speed: turn.speed, pitch: turn.pitch });
+    }
+  } else if (typeof script === "string") {
+    turns = [];
+    for (const [index, line] of script.split(/\r?\n/).entries()) {
+      if (!line.trim()) continue;
+      const match = /^\s*([^:：]+?)\s*[:：]\s*(.*)$/.exec(line);
+      if (match && speakerMap[match[1].toLowerCase()]) {
+        turns.push({ speaker: match[1], text: match[2] });
+      } else if (turns.length > 0) {
+        turns[turns.length - 1].text += `\n${line.trim()}`;
+      } else {
+        return { error: `脚本第 ${index + 1} 行未以已知说话人开头，格式应为 "说话人: 台词"` };
+      }
+    }
+  } else {
+    return { error: "'script' 必须是轮次数组或 \"说话人: 台词\" 格式的文本" };
+  }
+
+  if (turns.length === 0) {
+    return { error: "对话脚本为空" };
+  }
+  const unknown = [...new Set(turns.map(turn => turn.speaker).filter(name => !speakerMap[name.toLowerCase()]))];
+  if (unknown.length > 0) {
+    return { error: `以下说话人未在 speakers 中配置语音: ${unknown.join(", ")}` };
+  }
+  return turns;
+}
+
+/**
+ * 将对话轮次转换为 SSML 文本块，轮次之间在上一轮最后一块末尾插入停顿
+ * 自动语言切换的语言片段同样经由此处生成，lang 为片段的语言区域
+ * @param {Object[]} segments - 轮次 [{ voice, style, rate, pitch, chunks, lang? }]
+ * @param {number} pauseMs - 停顿时长 (毫秒)
+ * @param {Object[]} lexicon - 发音词典
+ * @returns {string[]} SSML 文档数组
+ */
+function buildDialogueChunks(segments, pauseMs, lexicon) {
+  const textChunks = [];
+  segments.forEach((segment, segmentIndex) => {
+    segment.chunks.forEach((chunk, chunkIndex) => {
+      const isTurnEnd = chunkIndex === segment.chunks.length - 1 && segmentIndex < segments.length - 1;
+      const text = isTurnEnd && pauseMs > 0 ? `${chunk}<break time="${Math.round(pauseMs)}ms"/>` : chunk;
+      textChunks.push(getSsml(text, segment.voice, segment.rate, segment.pitch, segment.style, lexicon, segment.lang));
+    });
+  });
+  return textChunks;
+}
+
+// =================================================================================
+// 自动语言切换
+// =================================================================================
+
+// 各语言未指定地区时使用的语言区域
+const LANGUAGE_LOCALES = { zh: "zh-CN", en: "en-US", ja: "ja-JP", ko: "ko-KR" };
+
+// 按文字系统切分的词元: 中日文汉字与假名、谚文、拉丁字母单词，其余 (数字、标点、空白) 为中性字符
+const SCRIPT_TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々]+|\p{Script=Hangul}+|\p{Script=Latin}+(?:['’]\p{Script=Latin}+)*|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Latin}ー々]+/gu;
+const KANA_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * 将清理后的文本按语言切分为片段，并为每个片段分配语音
+ * 中性字符 (数字、标点、空白) 归入前一片段；少于 MIN_LANGUAGE_RUN_WORDS 个词
+ * 或没有对应语音的片段并入相邻片段，片段顺序与原文一致。
+ * @param {string} text - 清理后的文本
+ * @param {string} primaryVoice - 请求的语音，朗读其自身语言以及无法识别的片段
+ * @param {Object} overrides - 请求中的 { 语言代码: 语音 }
+ * @param {Object} aliases - 别名表
+ * @param {boolean} [normalize] - 是否按片段语言进行数字规范化
+ * @returns {Object[]} 片段 [{ language, lang, voice, text }]，参数错误时为 { error }
+ */
+function splitLanguageSegments(text, primaryVoice, overrides, aliases, normalize = false) {
+  const voices = resolveLanguageVoices(overrides, primaryVoice, aliases);
+  if (voices.error) return voices;
+
+  const primaryLanguage = getVoiceLocale(primaryVoice)?.split("-")[0] || null;
+  const fallbackLanguage = voices[primaryLanguage] ? primaryLanguage : Object.keys(voices)[0];
+  const segments = detectLanguageRuns(text, Object.keys(voices), fallbackLanguage).map(run => {
+    const voice = voices[run.language];
+    const voiceLocale = getVoiceLocale(voice);
+    // 语音本身属于该语言时使用其地区，否则 (多语言语音) 使用该语言的默认地区
+    const lang = voiceLocale?.startsWith(`${run.language}-`) ? voiceLocale : LANGUAGE_LOCALES[run.language];
+    return {
+      language: run.language,
+      lang,
+      voice,
+      text: (normalize ? normalizeNumbers(run.text, lang) : run.text).trim()
+    };
+  }).filter(segment => segment.text);
+
+  return segments.length > 0 ? segments : { error: "清理后没有可朗读的文本" };
+}
+
+/**
+ * 合并默认、配置和请求中的语言语音映射
+ * @param {Object} overrides - 请求中的 { 语言代码: 语音 }
+ * @param {string} primaryVoice - 请求的语音
+ * @param {Object} aliases - 别名表
+ * @returns {Object} { 语言代码: Microsoft 语音名 }，参数错误时为 { error }
+ */
+function resolveLanguageVoices(overrides, primaryVoice, aliases) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return { error: "language_voices 必须是 { 语言代码: 语音 } 对象" };
+  }
+  const configured = typeof LANGUAGE_VOICES === "string" ? JSON.parse(LANGUAGE_VOICES) : LANGUAGE_VOICES;
+  const primaryLanguage = getVoiceLocale(primaryVoice)?.split("-")[0];
+
+  const voices = {};
+  const tables = [DEFAULT_LANGUAGE_VOICES, configured, LANGUAGE_LOCALES[primaryLanguage] ? { [primaryLanguage]: primaryVoice } : null, overrides];
+  for (const table of tables) {
+    if (!table) continue;
+    for (const [language, voice] of Object.entries(table)) {
+      const code = language.toLowerCase();
+      if (!LANGUAGE_LOCALES[code]) {
+        return { error: `不支持的语言: ${language}，可选值: ${Object.keys(LANGUAGE_LOCALES).join(", ")}` };
+      }
+      if (typeof voice !== "string" || !voice) {
+        return { error: `语言 ${language} 的语音必须是非空字符串` };
+      }
+      voices[code] = aliases[voice.toLowerCase()] || voice;
+    }
+  }
+  return voices;
+}
+
+/**
+ * 按文字系统检测语言片段
+ * 汉字在文本含有假名时视为日文，否则视为中文。
+ * @param {string} text - 输入文本
+ * @param {string[]} languages - 有对应语音的语言
+ * @param {string} fallbackLanguage - 无法确定语言时使用的语言
+ * @returns {Object[]} 片段 [{ language, text }]，相邻片段语言不同
+ */
+function detectLanguageRuns(text, languages, fallbackLanguage) {
+  const hasKana = KANA_PATTERN.test(text);
+  const runs = [];
+  for (const [token] of text.matchAll(SCRIPT_TOKEN_PATTERN)) {
+    const language = getTokenLanguage(token, hasKana);
+    const words = !language ? 0 : language === "en" ? 1 : [...token].length;
+    const last = runs[runs.length - 1];
+    if (last && (!language || last.language === language)) {
+      last.text += token;
+      last.words += words;
+    } else {
+      runs.push({ language, text: token, words });
+    }
+  }
+
+  // 过短或没有语音的片段并入前一片段；开头的此类片段并入后一片段，
+  // 但若再后一个片段与它同语言 (如 "Hello 世界 how are you")，说明它属于该语言的文本而非夹在
+  // 另一语言中的单词，保留为独立片段
+  const merged = [];
+  for (const [index, run] of runs.entries()) {
+    const strong = languages.includes(run.language) && run.words >= MIN_LANGUAGE_RUN_WORDS;
+    const last = merged[merged.length - 1];
+    if (last && (!strong || last.language === run.language)) {
+      last.text += run.text;
+      last.words += run.words;
+      continue;
+    }
+    if (last && !last.strong) {
+      if (languages.includes(last.language) && runs[index + 1]?.language === last.language) {
+        last.strong = true;
+      } else {
+        merged.pop();
+        run.text = last.text + run.text;
+      }
+    }
+    merged.push({ ...run, strong });
+  }
+
+  return merged.map(run => ({
+    language: run.strong || languages.includes(run.language) ? run.language : fallbackLanguage,
+    text: run.text
+  }));
+}
+
+/**
+ * 判断词元所属语言
+ * @param {string} token - 词元
+ * @param {boolean} hasKana - 文本是否含有假名
+ * @returns {string|null} 语言代码，中性字符为 null
+ */
+function getTokenLanguage(token, hasKana) {
+  if (KANA_PATTERN.test(token)) return "ja";
+  if (/\p{Script=Hangul}/u.test(token)) return "ko";
+  if (/[\p{Script=Han}ー々]/u.test(token)) return hasKana ? "ja" : "zh";
+  if (/\p{Script=Latin}/u.test(token)) return "en";
+  return null;
+}
+
+// =================================================================================
+// 发音词典
+// =================================================================================
+
+// 发音词典内存缓存 (密钥名 -> { entries, loadedAt })
+const lexiconCache = new Map();
+
+// 已编译的匹配正则 (按词典数组缓存)
+const lexiconPatternCache = new WeakMap();
+
+// 支持的音标字母表 (中文拼音使用 sapi，如 "chong 2 qing 4")
+const LEXICON_ALPHABETS = ["ipa", "sapi", "ups"];
+
+/**
+ * 处理发音词典管理请求
+ * GET 查看，PUT 整体替换，POST 按 text 新增或更新，DELETE 删除 (?text= 指定条目，缺省时清空)；
+ * 管理员可通过 ?key= 管理其他密钥的词典。
+ * 条目格式: { text, alias } 渲染为 <sub>，{ text, phoneme, alphabet } 渲染为 <phoneme>
+ * @param {Request} request - HTTP 请求对象
+ * @param {URL} url - 请求 URL
+ * @param {Object} caller - 调用方信息
+ * @returns {Promise<Response>} 当前词典
+ */
+async function handleLexiconRequest(request, url, caller) {
+  if (!["GET", "PUT", "POST", "DELETE"].includes(request.method)) {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  const keyName = url.searchParams.get("key") || caller.name;
+  if (keyName !== caller.name && !caller.admin) {
+    return errorResponse("需要管理员密钥", 403, "permission_denied");
+  }
+
+  let entries = await loadLexicon(keyName);
+  if (request.method === "PUT" || request.method === "POST") {
+    const body = await request.json();
+    const incoming = normalizeLexicon(body.entries);
+    if (incoming.error) {
+      return errorResponse(incoming.error, 400, "invalid_request_error");
+    }
+    entries = request.method === "PUT" ? incoming : mergeLexicons(entries, incoming);
+  } else if (request.method === "DELETE") {
+    const text = url.searchParams.get("text");
+    entries = text === null ? [] : entries.filter(entry => entry.text !== text);
+  }
+
+  if (request.method !== "GET") {
+    if (entries.length > MAX_LEXICON_ENTRIES) {
+      return errorResponse(`发音词典最多 ${MAX_LEXICON_ENTRIES} 个条目`, 400, "invalid_request_error");
+    }
+    await kvStore.put(`lexicon:${keyName}`, JSON.stringify(entries));
+    lexiconCache.set(keyName, { entries, loadedAt: Date.now() });
+  }
+
+  return new Response(JSON.stringify({ object: "list", key: keyName, data: entries }), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 加载密钥的发音词典
+ * @param {string} keyName - 密钥名
+ * @returns {Promise<Object[]>} 词典条目
+ */
+async function loadLexicon(keyName) {
+  const cached = lexiconCache.get(keyName);
+  if (cached && Date.now() - cached.loadedAt < CONFIG_CACHE_TTL) {
+    return cached.entries;
+  }
+  const entries = await kvStore.get(`lexicon:${keyName}`, "json").catch(error => {
+    console.error("读取发音词典失败:", error);
+    return null;
+  }) || [];
+  lexiconCache.set(keyName, { entries, loadedAt: Date.now() });
+  return entries;
+}
+
+/**
+ * 合并密钥的词典与请求中的词典 (请求中的同名条目优先)
+ * @param {Object} caller - 调用方信息
+ * @param {Object[]} inline - 请求中的词典条目
+ * @returns {Promise<Object[]>} 合并后的词典，校验失败时为 { error }
+ */
+async function resolveLexicon(caller, inline) {
+  const incoming = normalizeLexicon(inline);
+  if (incoming.error) return incoming;
+  return mergeLexicons(await loadLexicon(caller.name), incoming);
+}
+
+/**
+ * 按 text 合并两个词典，后者覆盖前者
+ * @param {Object[]} base - 原词典
+ * @param {Object[]} updates - 新增或更新的条目
+ * @returns {Object[]} 合并结果
+ */
+function mergeLexicons(base, updates) {
+  if (updates.length === 0) return base;
+  const merged = new Map(base.map(entry => [entry.text, entry]));
+  for (const entry of updates) merged.set(entry.text, entry);
+  return [...merged.values()];
+}
+
+/**
+ * 校验并规范化词典条目
+ * @param {Object[]} entries - 条目 [{ text, alias }] 或 [{ text, phoneme, alphabet }]
+ * @returns {Object[]} 规范化后的条目，失败时为 { error }
+ */
+function normalizeLexicon(entries) {
+  if (entries === undefined || entries === null) return [];
+  if (!Array.isArray(entries)) {
+    return { error: "发音词典必须是条目数组" };
+  }
+  if (entries.length > MAX_LEXICON_ENTRIES) {
+    return { error: `发音词典最多 ${MAX_LEXICON_ENTRIES} 个条目` };
+  }
+
+  const normalized = [];
+  for (const [index, entry] of entries.entries()) {
+    const label = `发音词典第 ${index + 1} 项`;
+    if (!entry || typeof entry.text !== "string" || !entry.text.trim() || entry.text.length > 100) {
+      return { error: `${label}: text 必须是 1-100 个字符的字符串` };
+    }
+    const hasAlias = typeof entry.alias === "string" && entry.alias.trim();
+    const hasPhoneme = typeof entry.phoneme === "string" && entry.phoneme.trim();
+    if (!hasAlias === !hasPhoneme) {
+      return { error: `${label}: alias 和 phoneme 必须且只能指定一个` };
+    }
+    if (hasAlias) {
+      normalized.push({ text: entry.text, alias: entry.alias.trim().slice(0, 200) });
+      continue;
+    }
+    const alphabet = String(entry.alphabet || "ipa").toLowerCase();
+    if (!LEXICON_ALPHABETS.includes(alphabet)) {
+      return { error: `${label}: 不支持的 alphabet ${entry.alphabet}，可选值: ${LEXICON_ALPHABETS.join(", ")}` };
+    }
+    normalized.push({ text: entry.text, phoneme: entry.phoneme.trim().slice(0, 200), alphabet });
+  }
+  return normalized;
+}
+
+/**
+ * 按发音词典切分文本，优先匹配较长的词；以字母或数字开头/结尾的词要求词边界，
+ * 避免 "AI" 匹配到 "MAIL" 中间
+ * @param {string} text - 文本
+ * @param {Object[]} lexicon - 词典条目
+ * @returns {Array<string|Object>} 普通文本片段与匹配到的条目交替组成的数组
+ */
+function splitByLexicon(text, lexicon) {
+  if (!lexicon || lexicon.length === 0) return [text];
+
+  let pattern = lexiconPatternCache.get(lexicon);
+  if (!pattern) {
+    const alternatives = [...lexicon]
+      .sort((a, b) => b.text.length - a.text.length)
+      .map(({ text: word }) => {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const before = /^\w/.test(word) ? "(?<!\\w)" : "";
+        const after = /\w$/.test(word) ? "(?!\\w)" : "";
+        return `${before}${escaped}${after}`;
+      });
+    pattern = new RegExp(alternatives.join("|"), "g");
+    lexiconPatternCache.set(lexicon, pattern);
+  }
+
+  const byText = new Map(lexicon.map(entry => [entry.text, entry]));
+  const pieces = [];
+  let position = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > position) pieces.push(text.slice(position, match.index));
+    pieces.push(byText.get(match[0]));
+    position = match.index + match[0].length;
+  }
+  if (position < text.length) pieces.push(text.slice(position));
+  return pieces;
+}
+
+/**
+ * 将词典条目转换为 SSML 元素节点
+ * @param {Object} entry - 词典条目
+ * @returns {Object} <sub> 或 <phoneme> 节点
+ */
+function createLexiconNode(entry) {
+  return entry.alias !== undefined
+    ? { name: "sub", attrs: [["alias", entry.alias]], children: [{ text: entry.text }] }
+    : { name: "phoneme", attrs: [["alphabet", entry.alphabet], ["ph", entry.phoneme]], children: [{ text: entry.text }] };
+}
+
+/**
+ * 对 SSML 节点中的文本应用发音词典 (已在 sub/phoneme/say-as 等元素内的文本不再替换)
+ * @param {Object[]} nodes - 节点列表
+ * @param {Object[]} lexicon - 词典条目
+ * @returns {Object[]} 替换后的节点列表
+ */
+function applyLexiconToSsml(nodes, lexicon) {
+  if (!lexicon || lexicon.length === 0) return nodes;
+  return nodes.flatMap(node => {
+    if ("text" in node) {
+      return splitByLexicon(node.text, lexicon).map(piece => typeof piece === "string" ? { text: piece } : createLexiconNode(piece));
+    }
+    if (!SSML_ATOMIC_ELEMENTS.includes(node.name)) {
+      node.children = applyLexiconToSsml(node.children, lexicon);
+    }
+    return [node];
+  });
+}
+
+// =================================================================================
+// SSML 输入模式
+// =================================================================================
+
+// 支持的输入类型 (markdown 渲染为 SSML 后按 SSML 处理，html 提取正文后按纯文本处理)
+const INPUT_TYPES = ["text", "ssml", "markdown", "html"];
+
+// 允许的 SSML 元素及其属性
+const SSML_ALLOWED_ELEMENTS = {
+  "speak": ["version", "xmlns", "xmlns:mstts", "xml:lang"],
+  "voice": ["name", "effect"],
+  "prosody": ["rate", "pitch", "volume", "contour", "range"],
+  "emphasis": ["level"],
+  "say-as": ["interpret-as", "format", "detail"],
+  "phoneme": ["alphabet", "ph"],
+  "sub": ["alias"],
+  "lang": ["xml:lang"],
+  "break": ["time", "strength"],
+  "p": [],
+  "s": [],
+  "bookmark": ["mark"],
+  "mstts:silence": ["type", "value"],
+  "mstts:express-as": ["style", "styledegree", "role"]
+};
+
+// 不可拆分的元素，分块时作为整体处理
+const SSML_ATOMIC_ELEMENTS = ["say-as", "phoneme", "sub", "break", "bookmark", "mstts:silence"];
+
+/**
+ * 解析并校验 SSML 输入
+ * 支持完整文档 (<speak> 根元素) 和片段；元素与属性必须在白名单内，
+ * <voice> 只能位于顶层且不能嵌套。
+ * @param {string} source - SSML 文本
+ * @returns {Object} { body, lang, voiceNodes, characters }，校验失败时为 { error }
+ */
+function parseSsml(source) {
+  const input = String(source).replace(/^\s*<\?xml[^>]*\?>/, "");
+  const root = { name: "#root", attrs: [], children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+  let position = 0;
+
+  while (position < input.length) {
+    const tagStart = input.indexOf("<", position);
+    const textEnd = tagStart === -1 ? input.length : tagStart;
+    if (textEnd > position) {
+      const text = decodeXmlEntities(input.slice(position, textEnd));
+      if (text === null) {
+        return { error: `SSML 语法错误: 位置 ${position} 附近存在无效的字符实体，"&" 需写作 "&amp;"` };
+      }
+      stack[stack.length - 1].children.push({ text });
+    }
+    if (tagStart === -1) break;
+
+    tagPattern.lastIndex = tagStart;
+    const match = tagPattern.exec(input);
+    if (!match) {
+      return { error: `SSML 语法错误: 位置 ${tagStart} 附近的标签无法解析 (不支持注释、CDATA 和处理指令)` };
+    }
+    const [raw, closing, name, attrSource, selfClosing] = match;
+    position = tagStart + raw.length;
+
+    if (!SSML_ALLOWED_ELEMENTS[name]) {
+      return { error: `不支持的 SSML 元素: <${name}>，允许的元素: ${Object.keys(SSML_ALLOWED_ELEMENTS).join(", ")}` };
+    }
+
+    if (closing) {
+      const current = stack.pop();
+      if (attrSource.trim() || selfClosing || current.name !== name) {
+        return { error: `SSML 语法错误: 结束标签 </${name}> 与 <${current.name}> 不匹配` };
+      }
+      continue;
+    }
+
+    const attrs = [];
+    for (const [, attrName, doubleQuoted, singleQuoted] of attrSource.matchAll(/([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      if (!SSML_ALLOWED_ELEMENTS[name].includes(attrName)) {
+        return { error: `SSML 元素 <${name}> 不支持属性 ${attrName}` };
+      }
+      const value = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+      if (value === null || attrs.some(([existing]) => existing === attrName)) {
+        return { error: `SSML 元素 <${name}> 的属性 ${attrName} 无效或重复` };
+      }
+      attrs.push([attrName, value]);
+    }
+
+    const node = { name, attrs, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+
+  if (stack.length > 1) {
+    return { error: `SSML 语法错误: 元素 <${stack[stack.length - 1].name}> 未闭合` };
+  }
+
+  // 完整文档: 除空白外只能有一个 <speak> 根元素
+  const meaningful = root.children.filter(node => !("text" in node) || node.text.trim());
+  const speak = meaningful.length === 1 && meaningful[0].name === "speak" ? meaningful[0] : null;
+  const body = speak ? speak.children : root.children;
+
+  const voiceNodes = [];
+  const structureError = checkSsmlStructure(body, 0, voiceNodes);
+  if (structureError) return { error: structureError };
+
+  const characters = collectSsmlText(body).replace(/\s+/g, " ").trim().length;
+  if (characters === 0) {
+    return { error: "SSML 中没有可朗读的文本" };
+  }
+
+  return {
+    body,
+    lang: (speak && getSsmlAttribute(speak, "xml:lang")) || "en-US",
+    voiceNodes,
+    characters
+  };
+}
+
+/**
+ * 检查 SSML 结构: <speak> 只能作为根元素，<voice> 只能位于顶层且不能嵌套
+ * @param {Object[]} nodes - 节点列表
+ * @param {number} depth - 当前深度 (0 为顶层)
+ * @param {Object[]} voiceNodes - 收集到的 <voice> 节点
+ * @returns {string|null} 错误信息
+ */
+function checkSsmlStructure(nodes, depth, voiceNodes) {
+  for (const node of nodes) {
+    if ("text" in node) continue;
+    if (node.name === "speak") return "<speak> 只能作为根元素出现一次";
+    if (node.name === "voice") {
+      if (depth > 0) return "<voice> 只能位于顶层，且不能嵌套";
+      if (!getSsmlAttribute(node, "name")) return "<voice> 缺少 name 属性";
+      voiceNodes.push(node);
+    }
+    const error = checkSsmlStructure(node.children, depth + 1, voiceNodes);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * 将 SSML 按元素边界分块，每块为可独立合成的完整 SSML 文档
+ * 顶层不在 <voice> 内的内容会包裹默认语音及请求中的风格、语速和音调；
+ * 文本节点按句子切分，say-as/phoneme/sub 等元素不会被拆开，
+ * 被分块边界切开的外层元素会在下一块中重新打开。
+ * @param {Object} document - parseSsml 的结果
+ * @param {number} maxChunkLength - 每块最大朗读字符数
+ * @param {Object} defaults - 默认合成参数 { voice, rate, pitch, style }
+ * @returns {string[]} SSML 文档数组
+ */
+function chunkSsml(document, maxChunkLength, defaults) {
+  // 按顶层分组: <voice> 原样保留，其余连续内容包裹默认语音
+  const blocks = [];
+  let pending = [];
+  const flushPending = () => {
+    if (collectSsmlText(pending).trim() || pending.some(node => !("text" in node))) {
+      let content = { name: "prosody", attrs: [["rate", `${defaults.rate}%`], ["pitch", `${defaults.pitch}%`]], children: pending };
+      if (defaults.style) {
+        content = { name: "mstts:express-as", attrs: [["style", defaults.style]], children: [content] };
+      }
+      blocks.push({ name: "voice", attrs: [["name", defaults.voice]], children: [content] });
+    }
+    pending = [];
+  };
+  for (const node of document.body) {
+    if (node.name === "voice") {
+      flushPending();
+      blocks.push(node);
+    } else {
+      pending.push(node);
+    }
+  }
+  flushPending();
+
+  // 展开为带祖先路径的最小片段
+  const segments = [];
+  const flatten = (node, path) => {
+    if ("text" in node) {
+      for (const sentence of splitSentences(node.text)) {
+        segments.push({ path, node: { text: sentence }, length: sentence.length });
+      }
+    } else if (SSML_ATOMIC_ELEMENTS.includes(node.name)) {
+      segments.push({ path, node, length: collectSsmlText([node]).length });
+    } else {
+      node.children.forEach(child => flatten(child, [...path, node]));
+    }
+  };
+  blocks.forEach(block => block.children.forEach(child => flatten(child, [block])));
+
+  // 贪心合并片段
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+  const flushChunk = () => {
+    const speakable = current.some(segment => !("text" in segment.node) || segment.node.text.trim());
+    if (speakable) chunks.push(renderSsmlChunk(current, document.lang));
+    current = [];
+    currentLength = 0;
+  };
+  for (const segment of segments) {
+    if (current.length > 0 && currentLength + segment.length > maxChunkLength) {
+      flushChunk();
+    }
+    current.push(segment);
+    currentLength += segment.length;
+  }
+  flushChunk();
+
+  return chunks;
+}
+
+/**
+ * 将一组片段序列化为完整的 SSML 文档，按需关闭和重新打开祖先元素
+ * @param {Object[]} segments - 片段列表
+ * @param {string} lang - 文档语言
+ * @returns {string} SSML 文档
+ */
+function renderSsmlChunk(segments, lang) {
+  let body = "";
+  let open = [];
+  for (const { path, node } of segments) {
+    let shared = 0;
+    while (shared < open.length && shared < path.length && open[shared] === path[shared]) shared++;
+    for (let i = open.length - 1; i >= shared; i--) body += `</${open[i].name}>`;
+    for (let i = shared; i < path.length; i++) body += openSsmlTag(path[i]);
+    open = path;
+    body += serializeSsmlNode(node);
+  }
+  for (let i = open.length - 1; i >= 0; i--) body += `</${open[i].name}>`;
+
+  return `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="${escapeXml(lang)}">${body}</speak>`;
+}
+
+/**
+ * 序列化 SSML 节点
+ * @param {Object} node - 文本或元素节点
+ * @returns {string} SSML 片段
+ */
+function serializeSsmlNode(node) {
+  if ("text" in node) return escapeXml(node.text);
+  if (node.children.length === 0) return openSsmlTag(node).replace(/>$/, "/>");
+  return `${openSsmlTag(node)}${node.children.map(serializeSsmlNode).join("")}</${node.name}>`;
+}
+
+/**
+ * 生成元素开始标签
+ * @param {Object} node - 元素节点
+ * @returns {string} 开始标签
+ */
+function openSsmlTag(node) {
+  const attrs = node.attrs.map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join("");
+  return `<${node.name}${attrs}>`;
+}
+
+/**
+ * 收集节点中的朗读文本 (sub 元素按 alias 计)
+ * @param {Object[]} nodes - 节点列表
+ * @returns {string} 文本内容
+ */
+function collectSsmlText(nodes) {
+  return nodes.map(node => {
+    if ("text" in node) return node.text;
+    if (node.name === "sub") return getSsmlAttribute(node, "alias") || "";
+    return collectSsmlText(node.children);
+  }).join("");
+}
+
+/**
+ * 读取元素属性
+ * @param {Object} node - 元素节点
+ * @param {string} name - 属性名
+ * @returns {string|undefined} 属性值
+ */
+function getSsmlAttribute(node, name) {
+  return node.attrs.find(([attrName]) => attrName === name)?.[1];
+}
+
+/**
+ * 设置元素属性
+ * @param {Object} node - 元素节点
+ * @param {string} name - 属性名
+ * @param {string} value - 属性值
+ */
+function setSsmlAttribute(node, name, value) {
+  const attr = node.attrs.find(([attrName]) => attrName === name);
+  if (attr) attr[1] = value;
+  else node.attrs.push([name, value]);
+}
+
+/**
+ * 生成文本块对应的 SSML 文档 (SSML 输入模式下文本块本身即完整文档)
+ * @param {string} text - 文本块
+ * @param {string} voiceName - 语音名称
+ * @param {string} rate - 语速百分比
+ * @param {string} pitch - 音调百分比
+ * @param {string|null} style - 语音风格
+ * @param {Object} [context] - 合成上下文
+ * @returns {string} SSML 文档
+ */
+function getChunkSsml(text, voiceName, rate, pitch, style, context) {
+  return context?.inputType === "ssml" ? text : getSsml(text, voiceName, rate, pitch, style, context?.lexicon);
+}
+
+// =================================================================================
+// Markdown 渲染
+// =================================================================================
+
+// 标题样式及各级标题前后的停顿 (毫秒)，按级别索引 (h1 为 0)
+const MARKDOWN_HEADING_PROSODY = { volume: "+15%", rate: "-10%" };
+const MARKDOWN_HEADING_PAUSES = [[600, 800], [500, 600], [400, 500], [300, 400], [300, 400], [300, 400]];
+const MARKDOWN_RULE_PAUSE = 800; // 分隔线的停顿 (毫秒)
+
+const MARKDOWN_FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const MARKDOWN_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_SETEXT_UNDERLINE = /^\s{0,3}(=+|-+)\s*$/;
+const MARKDOWN_RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE = /^\s{0,3}>/;
+const MARKDOWN_LIST_ITEM = /^(\s*)(?:[-*+]|(\d{1,9})[.)])\s+(.*)$/;
+
+// 按语音语言朗读的结构提示 (中文语音使用 zh，其他语音使用 en)
+const MARKDOWN_PHRASES = {
+  zh: {
+    item: number => `第${number}项，`,
+    task: done => done ? "已完成，" : "未完成，",
+    code: language => language ? `此处省略 ${language} 代码块。` : "此处省略代码块。",
+    image: alt => `图片：${alt}`,
+    row: number => `第${number}行：`,
+    cell: (header, value) => header ? `${header}，${value}` : value,
+    cellSeparator: "；",
+    end: "。"
+  },
+  en: {
+    item: number => `Item ${number}: `,
+    task: done => done ? "Done: " : "To do: ",
+    code: language => language ? `${language} code block omitted.` : "Code block omitted.",
+    image: alt => `Image: ${alt}`,
+    row: number => `Row ${number}: `,
+    cell: (header, value) => header ? `${header}: ${value}` : value,
+    cellSeparator: "; ",
+    end: "."
+  }
+};
+
+/**
+ * 将 Markdown 渲染为 SSML 文档，保留可听的文档结构
+ * 标题前后停顿并加重语气，有序列表朗读编号，代码块按 cleaning_options.code_blocks
+ * 朗读提示 (summary，默认) 或跳过 (skip)，表格逐行按 "表头，单元格" 朗读，图片朗读替代文本。
+ * 文本片段仍按清理选项清理 (移除 URL、Emoji、数字规范化等)。
+ * @param {string} markdown - Markdown 文本
+ * @param {Object} options - 清理选项
+ * @param {string|null} locale - 目标语音的语言区域
+ * @returns {string} SSML 文档，交由 parseSsml 解析
+ */
+function renderMarkdownSsml(markdown, options, locale) {
+  const env = {
+    options: { ...options, remove_markdown: false, remove_line_breaks: true },
+    locale: locale || "en-US",
+    phrases: /^zh/i.test(locale || "") ? MARKDOWN_PHRASES.zh : MARKDOWN_PHRASES.en
+  };
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  return `<speak xml:lang="${escapeXml(env.locale)}">${renderMarkdownBlocks(lines, env)}</speak>`;
+}
+
+/**
+ * 渲染块级元素 (段落、标题、代码块、分隔线、引用、表格、列表)
+ * @param {string[]} lines - Markdown 行
+ * @param {Object} env - 渲染环境 { options, locale, phrases }
+ * @returns {string} SSML 片段
+ */
+function renderMarkdownBlocks(lines, env) {
+  const output = [];
+  let paragraph = [];
+  const flushParagraph = () => {
+    const text = renderMarkdownInline(paragraph.join("\n"), env);
+    if (text) output.push(`<p>${text}</p>`);
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = MARKDOWN_FENCE.exec(line);
+    if (fence) {
+      flushParagraph();
+      i = skipMarkdownFence(lines, i, fence[1]);
+      output.push(renderMarkdownCode(fence[2], env));
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    const heading = MARKDOWN_HEADING.exec(line);
+    if (heading) {
+      flushParagraph();
+      output.push(renderMarkdownHeading(heading[2], heading[1].length, env));
+      continue;
+    }
+
+    // Setext 标题: 段落下一行为 === 或 ---
+    const underline = paragraph.length > 0 ? MARKDOWN_SETEXT_UNDERLINE.exec(line) : null;
+    if (underline) {
+      const text = paragraph.join("\n");
+      paragraph = [];
+      output.push(renderMarkdownHeading(text, underline[1][0] === "=" ? 1 : 2, env));
+      continue;
+    }
+
+    if (MARKDOWN_RULE.test(line)) {
+      flushParagraph();
+      output.push(`<break time="${MARKDOWN_RULE_PAUSE}ms"/>`);
+      continue;
+    }
+
+    // 引用: 去掉 ">" 后按块级元素渲染
+    if (MARKDOWN_QUOTE.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      for (; i < lines.length && MARKDOWN_QUOTE.test(lines[i]); i++) {
+        quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ""));
+      }
+      i--;
+      output.push(renderMarkdownBlocks(quoted, env));
+      continue;
+    }
+
+    // 表格: 表头行之后紧跟 |---|---| 分隔行
+    if (line.includes("|") && isMarkdownTableDelimiter(lines[i + 1])) {
+      flushParagraph();
+      const header = splitMarkdownRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes("|") && lines[i].trim(); i++) {
+        rows.push(splitMarkdownRow(lines[i]));
+      }
+      i--;
+      output.push(renderMarkdownTable(header, rows, env));
+      continue;
+    }
+
+    // 列表: 收集列表项、缩进的续行以及列表项之间的空行
+    if (MARKDOWN_LIST_ITEM.test(line)) {
+      flushParagraph();
+      const start = i;
+      while (i + 1 < lines.length) {
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next >= lines.length) break;
+        const belongs = MARKDOWN_LIST_ITEM.test(lines[next]) || /^\s+\S/.test(lines[next]) ||
+          (next === i + 1 && !isMarkdownBlockStart(lines[next]));
+        if (!belongs) break;
+        i = next;
+      }
+      output.push(renderMarkdownList(lines.slice(start, i + 1), env));
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  return output.join("");
+}
+
+/**
+ * 渲染列表，有序列表项朗读编号，嵌套层级按缩进识别
+ * @param {string[]} lines - 列表所在的行
+ * @param {Object} env - 渲染环境
+ * @returns {string} SSML 片段
+ */
+function renderMarkdownList(lines, env) {
+  const output = [];
+  const levels = []; // 各层级的 { indent, number }
+  let item = null;
+  const flushItem = () => {
+    const text = item ? renderMarkdownInline(item.lines.join("\n"), env) : "";
+    if (text) output.push(`<p>${escapeXml(item.prefix)}${text}</p>`);
+    item = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = MARKDOWN_FENCE.exec(line);
+    if (fence) {
+      flushItem();
+      i = skipMarkdownFence(lines, i, fence[1]);
+      output.push(renderMarkdownCode(fence[2], env));
+      continue;
+    }
+
+    const match = MARKDOWN_LIST_ITEM.exec(line);
+    if (!match) {
+      // 续行并入当前列表项
+      if (line.trim()) {
+        item = item || { prefix: "", lines: [] };
+        item.lines.push(line.trim());
+      }
+      continue;
+    }
+
+    flushItem();
+    const [, indentation, ordinal, content] = match;
+    const indent = indentation.replace(/\t/g, "    ").length;
+    while (levels.length > 0 && levels[levels.length - 1].indent > indent) levels.pop();
+    let level = levels[levels.length - 1];
+    if (!level || level.indent < indent) {
+      level = { indent, number: ordinal !== undefined ? Number(ordinal) : 1 };
+      levels.push(level);
+    } else {
+      level.number++;
+    }
+
+    const task = /^\[([ xX])\]\s+/.exec(content);
+    item = {
+      prefix: (ordinal !== undefined ? env.phrases.item(level.number) : "") + (task ? env.phrases.task(task[1] !== " ") : ""),
+      lines: [task ? content.slice(task[0].length) : content]
+    };
+  }
+  flushItem();
+
+  return output.join("");
+}
+
+/**
+ * 渲染标题: 前后停顿并加重语气
+ * @param {string} text - 标题文本
+ * @param {number} level - 标题级别 (1-6)
+ * @param {Object} env - 渲染环境
+ * @returns {string} SSML 片段
+ */
+function renderMarkdownHeading(text, level, env) {
+  const content = renderMarkdownInline(text, env);
+  if (!content) return "";
+  const [before, after] = MARKDOWN_HEADING_PAUSES[level - 1];
+  const { volume, rate } = MARKDOWN_HEADING_PROSODY;
+  return `<break time="${before}ms"/><p><prosody volume="${volume}" rate="${rate}">${content}</prosody></p><break time="${after}ms"/>`;
+}
+
+/**
+ * 渲染表格: 逐行朗读，每个单元格前朗读对应表头
+ * @param {string[]} header - 表头单元格
+ * @param {string[][]} rows - 数据行
+ * @param {Object} env - 渲染环境
+ * @returns {string} SSML 片段
+ */
+function renderMarkdownTable(header, rows, env) {
+  const { phrases } = env;
+  const headers = header.map(cell => renderMarkdownInline(cell, env));
+  if (rows.length === 0) {
+    const text = headers.filter(Boolean).join(escapeXml(phrases.cellSeparator));
+    return text ? `<p>${text}${escapeXml(phrases.end)}</p>` : "";
+  }
+
+  return rows.map((row, index) => {
+    const cells = row
+      .map((cell, column) => {
+        const value = renderMarkdownInline(cell, env);
+        return value ? phrases.cell(headers[column] || "", value) : null;
+      })
+      .filter(Boolean);
+    if (cells.length === 0) return "";
+    return `<p>${escapeXml(phrases.row(index + 1))}${cells.join(escapeXml(phrases.cellSeparator))}${escapeXml(phrases.end)}</p>`;
+  }).join("");
+}
+
+/**
+ * 渲染代码块提示
+ * @param {string} language - 代码块语言标记
+ * @param {Object} env - 渲染环境
+ * @returns {string} SSML 片段，跳过代码块时为空
+ */
+function renderMarkdownCode(language, env) {
+  if (env.options.code_blocks === "skip") return "";
+  return `<p>${escapeXml(env.phrases.code(language))}</p>`;
+}
+
+/**
+ * 渲染行内元素: 保留链接文本和行内代码内容，图片朗读替代文本，移除强调等标记，
+ * 然后按清理选项清理并转义为 SSML 文本
+ * @param {string} text - Markdown 行内文本
+ * @param {Object} env - 渲染环境
+ * @returns {string} 转义后的 SSML 文本
+ */
+function renderMarkdownInline(text, env) {
+  // 行内代码先以占位符保护，其内容不做 Markdown 处理
+  const codeSpans = [];
+  const stripped = text
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => `\u0000${codeSpans.push(code.trim()) - 1}\u0000`)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, (match, alt) => alt.trim() ? env.phrases.image(alt.trim()) : "")
+    .replace(/\[\^[^\]]+\]/g, "")                         // 脚注引用
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")              // 链接
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")             // 引用式链接
+    .replace(/<(?:https?|mailto):[^>\s]+>/g, "")          // 自动链接
+    .replace(/<\/?[A-Za-z][^>]*>/g, "")                   // 行内 HTML 标签
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "$2")      // 粗体
+    .replace(/(?<![\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, "$1") // 斜体
+    .replace(/(?<!\w)_(?=\S)([^_]*?\S)_(?!\w)/g, "$1")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1")             // 删除线
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, "$1")        // 转义字符
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+
+  return escapeXml(cleanText(stripped, env.options, env.locale));
+}
+
+/**
+ * 跳过围栏代码块
+ * @param {string[]} lines - Markdown 行
+ * @param {number} start - 开始围栏所在行
+ * @param {string} marker - 开始围栏标记 (``` 或 ~~~)
+ * @returns {number} 结束围栏所在行，未闭合时为最后一行
+ */
+function skipMarkdownFence(lines, start, marker) {
+  const closing = new RegExp(`^\\s{0,3}${marker[0] === "`" ? "`" : "~"}{${marker.length},}\\s*$`);
+  for (let i = start + 1; i < lines.length; i++) {
+    if (closing.test(lines[i])) return i;
+  }
+  return lines.length - 1;
+}
+
+/**
+ * 判断一行是否开始新的块级元素 (用于结束列表的惰性续行)
+ * @param {string} line - Markdown 行
+ * @returns {boolean}
+ */
+function isMarkdownBlockStart(line) {
+  return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line) || MARKDOWN_QUOTE.test(line);
+}
+
+/**
+ * 判断是否为表格分隔行 (如 |---|:---:|)
+ * @param {string} [line] - Markdown 行
+ * @returns {boolean}
+ */
+function isMarkdownTableDelimiter(line) {
+  return typeof line === "string" && line.includes("|") && line.includes("-") && /^[\s|:-]+$/.test(line);
+}
+
+/**
+ * 拆分表格行为单元格，支持 \| 转义
+ * @param {string} line - 表格行
+ * @returns {string[]} 单元格文本
+ */
+function splitMarkdownRow(line) {
+  return line.trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, "|"));
+}
+
+// =================================================================================
+// HTML 与 EPUB 输入
+// =================================================================================
+
+const HTML_PARAGRAPH_PAUSE = 300; // 段落之后的停顿 (毫秒)
+
+// 始终丢弃的元素 (连同内容)
+const HTML_NOISE_ELEMENTS = ["head", "script", "style", "noscript", "template", "svg", "math", "iframe", "object", "canvas", "select", "button"];
+// 网页中的导航、页眉页脚等非正文元素，提取网页正文时丢弃
+const HTML_CHROME_ELEMENTS = ["nav", "header", "footer", "aside", "form", "dialog"];
+
+// 常用 HTML 命名实体 (XML 预定义实体之外)
+const HTML_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  mdash: "—", ndash: "–", hellip: "…", middot: "·", bull: "•",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»",
+  copy: "©", reg: "®", trade: "™", deg: "°", times: "×", divide: "÷", yen: "¥", euro: "€", pound: "£"
+};
+
+/**
+ * 从 HTML 中提取可朗读的正文
+ * 丢弃脚本、样式、导航等元素，优先使用 <article>/<main> 中的内容；
+ * 标题前后和段落之后插入 <break> 停顿 (getSsml 会原样保留)，其余标签移除、实体解码。
+ * @param {string} html - HTML 文本
+ * @param {Object} [options] - 提取选项
+ * @param {boolean} [options.readable] - 是否按网页正文提取 (丢弃页眉页脚并优先使用 article/main)
+ * @returns {string} 纯文本，段落以换行分隔
+ */
+function extractHtmlText(html, { readable = true } = {}) {
+  let source = String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/<[!?][^>]*>/g, "");
+
+  for (const name of readable ? [...HTML_NOISE_ELEMENTS, ...HTML_CHROME_ELEMENTS] : HTML_NOISE_ELEMENTS) {
+    source = source
+      .replace(new RegExp(`<${name}\\b[^>]*>[\\s\\S]*?<\\/${name}\\s*>`, "gi"), " ")
+      .replace(new RegExp(`<${name}\\b[^>]*\\/>`, "gi"), " ");
+  }
+
+  if (readable) {
+    const main = /<article\b[^>]*>([\s\S]*)<\/article\s*>/i.exec(source) || /<main\b[^>]*>([\s\S]*)<\/main\s*>/i.exec(source);
+    if (main) source = main[1];
+  }
+  source = /<body\b[^>]*>([\s\S]*)<\/body\s*>/i.exec(source)?.[1] ?? source;
+
+  // 停顿先以控制字符标记，移除标签后再转换为 <break>
+  const pause = ms => `\u0001${ms}\u0001`;
+  const text = decodeHtmlEntities(source
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, content) => {
+      const [before, after] = MARKDOWN_HEADING_PAUSES[level - 1];
+      return `\n${pause(before)}${content}${pause(after)}\n`;
+    })
+    .replace(/<\/(?:p|blockquote|pre|figcaption)\s*>/gi, `${pause(HTML_PARAGRAPH_PAUSE)}\n`)
+    .replace(/<br\s*\/?>|<\/?(?:div|section|li|ul|ol|dl|dt|dd|tr|table)\b[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]\s*>/gi, " ")
+    .replace(/<[^>]*>/g, ""));
+
+  return text
+    .replace(/[^\S\n]+/g, " ")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join("\n")
+    // 相邻的停顿只保留最长的一个，开头和结尾的停顿去掉
+    .replace(/(?:\s*\u0001\d+\u0001)+\s*/g, run => {
+      const longest = Math.max(...[...run.matchAll(/\u0001(\d+)\u0001/g)].map(match => Number(match[1])));
+      return `<break time="${longest}ms"/>${run.includes("\n") ? "\n" : ""}`;
+    })
+    .replace(/^(?:<break[^>]*>\s*)+|(?:\s*<break[^>]*>)+$/g, "")
+    .trim();
+}
+
+/**
+ * 统计朗读字符数 (不计文本中的 <break> 停顿标签)，用于用量和额度
+ * @param {string} text - 清理后的文本
+ * @returns {number} 字符数
+ */
+function countSpokenCharacters(text) {
+  return text.replace(/<break\b[^>]*>/gi, "").length;
+}
+
+/**
+ * 解码 HTML 字符实体，无法识别的实体原样保留
+ * @param {string} text - 含实体的文本
+ * @returns {string} 解码后的文本
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#\d+|#x[\da-f]+|[a-z]+\d*);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity] ?? HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * 解析 EPUB 电子书，按目录划分章节
+ * 读取 container.xml 定位 OPF，按 spine 顺序提取正文文件；章节标题取自
+ * EPUB 3 导航文档或 EPUB 2 NCX 目录，缺失时使用正文中的第一个标题。
+ * @param {Uint8Array} bytes - EPUB 文件内容
+ * @returns {Promise<Object>} { title, chapters: [{ index, title, text }] }，解析失败时为 { error }
+ */
+async function parseEpub(bytes) {
+  const entries = readZipDirectory(bytes);
+  if (!entries) return { error: "无法解析 EPUB: 文件不是有效的 ZIP 压缩包" };
+
+  // 所有文件共用一份解压额度
+  const budget = { remaining: MAX_EPUB_SIZE };
+  const readText = async path => {
+    const entry = entries.get(path);
+    return entry ? new TextDecoder().decode(await readZipEntry(bytes, entry, budget)) : null;
+  };
+
+  try {
+    const container = await readText("META-INF/container.xml");
+    const opfPath = container && getXmlAttributes(/<rootfile\b[^>]*>/i.exec(container)?.[0] || "")["full-path"];
+    const opf = opfPath && await readText(opfPath);
+    if (!opf) return { error: "无法解析 EPUB: 缺少 META-INF/container.xml 或 OPF 包文件" };
+
+    const manifest = new Map();
+    for (const [tag] of opf.matchAll(/<(?:opf:)?item\b[^>]*>/gi)) {
+      const attrs = getXmlAttributes(tag);
+      if (attrs.id && attrs.href) manifest.set(attrs.id, { ...attrs, path: resolveZipPath(opfPath, attrs.href) });
+    }
+    const spine = [...opf.matchAll(/<(?:opf:)?itemref\b[^>]*>/gi)]
+      .map(([tag]) => getXmlAttributes(tag))
+      .filter(attrs => attrs.linear !== "no")
+      .map(attrs => manifest.get(attrs.idref))
+      .filter(item => item && /x?html/i.test(item["media-type"] || ""));
+    if (spine.length === 0) return { error: "无法解析 EPUB: spine 中没有正文文件" };
+
+    // 目录: 正文文件路径 -> 第一个指向该文件的目录项标题
+    const toc = new Map();
+    const navItem = [...manifest.values()].find(item => /\bnav\b/.test(item.properties || ""));
+    const ncxItem = [...manifest.values()].find(item => item["media-type"] === "application/x-dtbncx+xml");
+    if (navItem) {
+      const nav = await readText(navItem.path) || "";
+      const tocNav = /<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^>]*>([\s\S]*?)<\/nav\s*>/i.exec(nav)?.[1] ?? nav;
+      for (const [, attrs, label] of tocNav.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi)) {
+        const href = getXmlAttributes(attrs).href;
+        const path = href && resolveZipPath(navItem.path, href);
+        if (path && !toc.has(path)) toc.set(path, extractHtmlText(label, { readable: false }).replace(/\s+/g, " "));
+      }
+    } else if (ncxItem) {
+      const ncx = await readText(ncxItem.path) || "";
+      for (const [, label, src] of ncx.matchAll(/<navPoint\b[\s\S]*?<text>([\s\S]*?)<\/text>[\s\S]*?<content\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi)) {
+        const path = resolveZipPath(ncxItem.path, decodeHtmlEntities(src));
+        if (!toc.has(path)) toc.set(path, decodeHtmlEntities(label).replace(/\s+/g, " ").trim());
+      }
+    }
+
+    const chapters = [];
+    for (const item of spine) {
+      const html = await readText(item.path);
+      const text = html ? extractHtmlText(html, { readable: false }) : "";
+      if (!text) continue;
+      // 不在目录中的正文文件 (如被拆分的长章节) 并入前一章
+      const last = chapters[chapters.length - 1];
+      if (last && toc.size > 0 && !toc.has(item.path)) {
+        last.text += `\n${text}`;
+        continue;
+      }
+      const heading = /<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]\s*>/i.exec(html)?.[1];
+      const title = toc.get(item.path) || (heading && extractHtmlText(heading, { readable: false }).replace(/\s+/g, " ")) || "";
+      chapters.push({ index: chapters.length + 1, title: title || `Chapter ${chapters.length + 1}`, text });
+    }
+    if (chapters.length === 0) return { error: "EPUB 中没有可朗读的正文" };
+
+    const title = decodeHtmlEntities(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title\s*>/i.exec(opf)?.[1] || "").trim();
+    return { title: title || null, chapters };
+  } catch (error) {
+    console.error("解析 EPUB 失败:", error);
+    return { error: `无法解析 EPUB: ${error.message}` };
+  }
+}
+
+/**
+ * 解析 XML 开始标签的属性
+ * @param {string} tag - 开始标签文本
+ * @returns {Object} 属性名到值的映射
+ */
+function getXmlAttributes(tag) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted] of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[name] = decodeHtmlEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attrs;
+}
+
+/**
+ * 将相对于某文件的链接解析为压缩包内的路径，去掉锚点
+ * @param {string} base - 链接所在文件的路径
+ * @param {string} href - 相对链接
+ * @returns {string} 压缩包内的路径
+ */
+function resolveZipPath(base, href) {
+  let target = href.split("#")[0];
+  try {
+    target = decodeURIComponent(target);
+  } catch {
+    // 保留无法解码的原始链接
+  }
+  const segments = target.startsWith("/") ? [] : base.split("/").slice(0, -1);
+  for (const segment of target.split("/")) {
+    if (segment === "..") segments.pop();
+    else if (segment && segment !== ".") segments.push(segment);
+  }
+  return segments.join("/");
+}
+
+/**
+ * 读取 ZIP 中央目录
+ * @param {Uint8Array} bytes - 压缩包内容
+ * @returns {Map<string, Object>|null} 文件名到 { method, flags, compressedSize, size, localOffset } 的映射，无效时为 null
+ */
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // 中央目录结束记录位于末尾，其后可能有最长 65535 字节的注释
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  const entries = new Map();
+  const decoder = new TextDecoder();
+  let offset = view.getUint32(end + 16, true);
+  for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) return null;
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+}
+
+/**
+ * 读取并解压 ZIP 中的单个文件 (支持不压缩和 Deflate)
+ * 目录中声明的大小不可信，解压时逐段计数，超出额度立即中止 (防止压缩炸弹)
+ * @param {Uint8Array} bytes - 压缩包内容
+ * @param {Object} entry - readZipDirectory 返回的条目
+ * @param {Object} [budget] - 解压额度 { remaining }，多次读取共用时按实际大小扣减
+ * @returns {Promise<Uint8Array>} 文件内容
+ */
+async function readZipEntry(bytes, entry, budget = { remaining: MAX_EPUB_SIZE }) {
+  const tooLarge = () => new Error(`压缩包解压后超过 ${MAX_EPUB_SIZE / 1024 / 1024} MB`);
+  if (entry.flags & 0x1) throw new Error("不支持加密的文件");
+  if (entry.size > budget.remaining) throw tooLarge();
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = entry.localOffset;
+  if (view.getUint32(header, true) !== 0x04034b50) throw new Error("本地文件头无效");
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    if (data.length > budget.remaining) throw tooLarge();
+    budget.remaining -= data.length;
+    return data;
+  }
+  if (entry.method !== 8) throw new Error(`不支持的压缩方式: ${entry.method}`);
+
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw")).getReader();
+  const parts = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > budget.remaining) {
+      await reader.cancel().catch(() => { });
+      throw tooLarge();
+    }
+    parts.push(value);
+  }
+  budget.remaining -= size;
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+
+/**
+ * 生成带章节标记的 ID3v2.4 标签 (CTOC 目录帧 + 每章一个 CHAP 帧)，置于 MP3 开头
+ * @param {string|null} title - 专辑标题
+ * @param {Object[]} chapters - 章节 [{ title, start, end }]，时间单位为秒
+ * @returns {Uint8Array} ID3 标签
+ */
+function createId3ChapterTag(title, chapters) {
+  const encoder = new TextEncoder();
+  const concat = parts => {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  };
+  // ID3v2.4 的帧大小和标签大小均为 syncsafe 整数 (每字节 7 位)
+  const syncsafe = size => new Uint8Array([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+  const uint32 = value => new Uint8Array([(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+  const frame = (id, body) => concat([encoder.encode(id), syncsafe(body.length), new Uint8Array(2), body]);
+  const textFrame = (id, text) => frame(id, concat([new Uint8Array([3]), encoder.encode(text)])); // 3 = UTF-8
+
+  const ids = chapters.map((chapter, index) => encoder.encode(`ch${index + 1}\0`));
+  const frames = [
+    ...(title ? [textFrame("TIT2", title)] : []),
+    // CTOC: 顶层、有序的目录 (条目数为单字节，最多列出 255 章)
+    frame("CTOC", concat([encoder.encode("toc\0"), new Uint8Array([0x03, Math.min(ids.length, 255)]), ...ids.slice(0, 255)])),
+    ...chapters.map((chapter, index) => frame("CHAP", concat([
+      ids[index],
+      uint32(Math.round(chapter.start * 1000)),
+      uint32(Math.round(chapter.end * 1000)),
+      uint32(0xffffffff), // 不使用字节偏移
+      uint32(0xffffffff),
+      textFrame("TIT2", chapter.title)
+    ])))
+  ];
+
+  const body = concat(frames);
+  return concat([encoder.encode("ID3"), new Uint8Array([4, 0, 0]), syncsafe(body.length), body]);
+}
+
+// =================================================================================
+// 时间戳与字幕
+// =================================================================================
+
+// 时间戳粒度
+const TIMESTAMP_GRANULARITIES = ["word", "sentence"];
+
+// 中日文按单字计词，其余按空白分词
+const WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+
+// 以句末标点结束的句子
+const SENTENCE_PATTERN = /[^.?!;\n。？！；]+[.?!;。？！；]*/g;
+
+// 字幕格式及其 Content-Type
+const SUBTITLE_FORMATS = {
+  srt: "application/x-subrip; charset=utf-8",
+  vtt: "text/vtt; charset=utf-8"
+};
+
+// MPEG 音频 Layer III 的比特率 (kbps) 与采样率表
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/**
+ * 校验时间戳粒度参数
+ * @param {string[]|string} granularities - 请求中的 timestamp_granularities
+ * @param {boolean} stream - 是否流式输出
+ * @returns {string[]} 去重后的粒度列表，失败时为 { error }
+ */
+function resolveTimestampGranularities(granularities, stream) {
+  const list = [...new Set([].concat(granularities || []))];
+  const invalid = list.filter(item => !TIMESTAMP_GRANULARITIES.includes(item));
+  if (invalid.length > 0) {
+    return { error: `不支持的 timestamp_granularities: ${invalid.join(", ")}，可选值: ${TIMESTAMP_GRANULARITIES.join(", ")}` };
+  }
+  if (list.length > 0 && stream) {
+    return { error: "时间戳仅支持非流式输出" };
+  }
+  return list;
+}
+
+/**
+ * 估算单词与句子时间戳
+ * REST 接口不返回边界事件，因此先按各块音频数据计算实际时长，
+ * 再在块内按字符数比例分配时间；后续块的偏移量累加前面所有块的时长。
+ * @param {string[]} textChunks - 文本块 (SSML 模式下为 SSML 文档)
+ * @param {Blob[]} audioBlobs - 与文本块一一对应的音频数据
+ * @param {Object} context - 合成上下文
+ * @returns {Promise<Object>} { duration, timing, words?, sentences? }，时间单位为秒
+ */
+async function estimateTimestamps(textChunks, audioBlobs, context) {
+  const result = { duration: 0, timing: "estimated" };
+  for (const granularity of context.timestamps) {
+    result[`${granularity}s`] = [];
+  }
+
+  let offset = 0;
+  for (let i = 0; i < textChunks.length; i++) {
+    const bytes = new Uint8Array(await audioBlobs[i].arrayBuffer());
+    const duration = getAudioDuration(bytes, context.audioFormat);
+    const text = context.inputType === "ssml" ? getSsmlPlainText(textChunks[i]) : textChunks[i].replace(/<break\b[^>]*>/gi, " ");
+
+    // 按非空白字符累计权重，标点也占用时长 (对应停顿)
+    const weights = [0];
+    for (const char of text) {
+      const weight = weights[weights.length - 1] + (/\s/.test(char) ? 0 : 1);
+      for (let k = 0; k < char.length; k++) weights.push(weight);
+    }
+    const total = weights[weights.length - 1] || 1;
+    const timeAt = index => roundSeconds(offset + weights[index] / total * duration);
+
+    const collect = (pattern, filter) => [...text.matchAll(pattern)]
+      .filter(match => filter(match[0]))
+      .map(match => ({ text: match[0].trim(), start: timeAt(match.index), end: timeAt(match.index + match[0].length) }));
+
+    if (result.words) {
+      result.words.push(...collect(WORD_PATTERN, word => /[\p{L}\p{N}]/u.test(word)));
+    }
+    if (result.sentences) {
+      for (const sentence of collect(SENTENCE_PATTERN, sentence => sentence.trim().length > 0)) {
+        // 分块边界可能落在句中 (如逗号处)，未以句末标点结束的句子与下一块的开头合并
+        const previous = result.sentences[result.sentences.length - 1];
+        if (previous && !/[.?!;。？！；]$/.test(previous.text)) {
+          previous.text = joinText(previous.text, sentence.text);
+          previous.end = sentence.end;
+        } else {
+          result.sentences.push(sentence);
+        }
+      }
+    }
+    offset += duration;
+  }
+
+  result.duration = roundSeconds(offset);
+  return result;
+}
+
+/**
+ * 计算单个音频块的时长
+ * @param {Uint8Array} bytes - 上游返回的音频数据 (不含 WAV 头)
+ * @param {Object} audioFormat - 输出格式信息
+ * @returns {number} 时长 (秒)
+ */
+function getAudioDuration(bytes, audioFormat) {
+  if (audioFormat.format === "wav" || audioFormat.format === "pcm") {
+    return bytes.length / (audioFormat.sampleRate * 2); // 16-bit 单声道
+  }
+  if (audioFormat.format === "opus") {
+    return getOggOpusDuration(bytes);
+  }
+  const duration = getMp3Duration(bytes);
+  if (duration > 0) return duration;
+  // 无法解析帧头时按标称比特率估算
+  const kbps = Number(/(\d+)kbitrate/.exec(audioFormat.upstream)?.[1]) || 48;
+  return bytes.length * 8 / (kbps * 1000);
+}
+
+/**
+ * 逐帧解析 MP3 数据计算时长
+ * @param {Uint8Array} bytes - MP3 数据
+ * @returns {number} 时长 (秒)，无法解析时为 0
+ */
+function getMp3Duration(bytes) {
+  let position = 0;
+  // 跳过 ID3v2 标签
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33 && bytes.length > 10) {
+    position = 10 + ((bytes[6] & 0x7f) << 21 | (bytes[7] & 0x7f) << 14 | (bytes[8] & 0x7f) << 7 | (bytes[9] & 0x7f));
+  }
+
+  let duration = 0;
+  while (position + 4 <= bytes.length) {
+    const b1 = bytes[position + 1];
+    const b2 = bytes[position + 2];
+    const version = (b1 >> 3) & 0x03;     // 3: MPEG1, 2: MPEG2, 0: MPEG2.5
+    const layer = (b1 >> 1) & 0x03;       // 1: Layer III
+    const bitrate = (version === 3 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[b2 >> 4];
+    const sampleRate = MP3_SAMPLE_RATES[version]?.[(b2 >> 2) & 0x03];
+
+    if (bytes[position] !== 0xff || (b1 & 0xe0) !== 0xe0 || layer !== 1 || !bitrate || !sampleRate) {
+      position++; // 重新同步
+      continue;
+    }
+
+    const samplesPerFrame = version === 3 ? 1152 : 576;
+    const padding = (b2 >> 1) & 0x01;
+    position += Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+    duration += samplesPerFrame / sampleRate;
+  }
+  return duration;
+}
+
+/**
+ * 根据 Ogg 最后一页的 granule position 计算 Opus 时长
+ * @param {Uint8Array} bytes - Ogg Opus 数据
+ * @returns {number} 时长 (秒)
+ */
+function getOggOpusDuration(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let granule = 0n;
+  let preSkip = 0;
+  for (let i = 0; i + 14 <= bytes.length; i++) {
+    if (matchesAscii(bytes, i, "OggS")) {
+      const position = view.getBigUint64(i + 6, true);
+      if (position !== 0xffffffffffffffffn && position > granule) granule = position; // 全 1 表示该页无完整包
+    } else if (preSkip === 0 && matchesAscii(bytes, i, "OpusHead")) {
+      preSkip = view.getUint16(i + 10, true); // 需要从总样本数中扣除的编码延迟
+    }
+  }
+  return Math.max(0, Number(granule) - preSkip) / 48000; // Opus 固定以 48kHz 计
+}
+
+/**
+ * 判断字节数组在指定位置是否为给定的 ASCII 字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @param {number} offset - 起始位置
+ * @param {string} text - ASCII 字符串
+ * @returns {boolean} 是否匹配
+ */
+function matchesAscii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * 提取 SSML 文档中的朗读文本
+ * @param {string} ssml - SSML 文档
+ * @returns {string} 纯文本
+ */
+function getSsmlPlainText(ssml) {
+  const text = ssml.replace(/<sub\s[^>]*alias="([^"]*)"[^>]*>[\s\S]*?<\/sub>/g, " $1 ").replace(/<[^>]+>/g, " ");
+  return decodeXmlEntities(text) ?? text;
+}
+
+/**
+ * 校验字幕参数
+ * @param {string} format - 字幕格式
+ * @param {number} maxChars - 每条字幕最大字符数
+ * @returns {Object} { format, maxChars }，失败时为 { error }
+ */
+function resolveSubtitleOptions(format, maxChars) {
+  const normalized = String(format).toLowerCase();
+  if (!SUBTITLE_FORMATS[normalized]) {
+    return { error: `不支持的 subtitle_format: ${format}，可选值: ${Object.keys(SUBTITLE_FORMATS).join(", ")}` };
+  }
+  const limit = Number(maxChars);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: "max_chars_per_cue 必须是正整数" };
+  }
+  return { format: normalized, maxChars: limit };
+}
+
+/**
+ * 根据句子时间戳生成 SRT 或 WebVTT 字幕
+ * 超过字数上限的句子先按分块标点切分，仍过长的片段再按词切分，
+ * 各片段按字符数比例分配句子的时间。
+ * @param {Object[]} sentences - 句子时间戳 [{ text, start, end }]
+ * @param {Object} options - 字幕选项 { format, maxChars }
+ * @returns {string} 字幕文本
+ */
+function renderSubtitles(sentences, options) {
+  const cues = [];
+  for (const sentence of sentences) {
+    const pieces = splitCueText(sentence.text, options.maxChars);
+    const total = pieces.reduce((sum, piece) => sum + piece.replace(/\s/g, "").length, 0) || 1;
+    let elapsed = 0;
+    for (const piece of pieces) {
+      const start = sentence.start + elapsed / total * (sentence.end - sentence.start);
+      elapsed += piece.replace(/\s/g, "").length;
+      const end = sentence.start + elapsed / total * (sentence.end - sentence.start);
+      cues.push({ text: piece, start, end });
+    }
+  }
+
+  const separator = options.format === "srt" ? "," : ".";
+  const blocks = cues.map((cue, index) => {
+    const timing = `${formatCueTime(cue.start, separator)} --> ${formatCueTime(cue.end, separator)}`;
+    return options.format === "srt" ? `${index + 1}\n${timing}\n${cue.text}` : `${timing}\n${cue.text}`;
+  });
+  return options.format === "vtt" ? `WEBVTT\n\n${blocks.join("\n\n")}\n` : `${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * 将句子切分为不超过字数上限的字幕片段
+ * @param {string} text - 句子
+ * @param {number} maxChars - 每条字幕最大字符数
+ * @returns {string[]} 字幕片段
+ */
+function splitCueText(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  // 过长的分句再按词切分
+  const units = splitSentences(text).map(piece => piece.trim()).filter(Boolean).flatMap(piece =>
+    piece.length <= maxChars ? [piece] : piece.match(WORD_PATTERN)
+  );
+
+  const pieces = [];
+  let current = "";
+  for (const unit of units) {
+    const candidate = current ? joinText(current, unit) : unit;
+    if (current && candidate.length > maxChars) {
+      pieces.push(current);
+      current = unit;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * 格式化字幕时间 HH:MM:SS,mmm (WebVTT 使用 "." 分隔毫秒)
+ * @param {number} seconds - 秒数
+ * @param {string} separator - 毫秒分隔符
+ * @returns {string} 时间字符串
+ */
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * 拼接两段文本，中日文之间不加空格
+ * @param {string} left - 前一段文本
+ * @param {string} right - 后一段文本
+ * @returns {string} 拼接结果
+ */
+function joinText(left, right) {
+  const cjk = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff00-\uffef]/u;
+  return cjk.test(left.slice(-1)) || cjk.test(right.charAt(0)) ? left + right : `${left} ${right}`;
+}
+
+/**
+ * 秒数保留到毫秒
+ * @param {number} seconds - 秒数
+ * @returns {number} 保留三位小数的秒数
+ */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// =================================================================================
+// 异步任务
+// =================================================================================
+
+/**
+ * 创建异步合成任务
+ * 任务记录、文本块和每块音频分别保存在 kvStore 的 job:<id>、job:<id>:input、job:<id>:chunk:<n>
+ * @param {Object} caller - 调用方信息
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象
+ * @param {string[]} textChunks - 文本块
+ * @param {Object} context - 合成上下文 (提供输出格式与合成选项)
+ * @param {Array} ttsArgs - [voice, rate, pitch, style, outputFormat]
+ * @param {Object} usage - 用量记录
+ * @param {Object|null} webhook - 任务结束通知 { url, origin }，origin 用于生成下载地址
+ * @returns {Promise<Object>} 任务记录
+ */
+async function createSynthesisJob(caller, event, textChunks, context, ttsArgs, usage, webhook) {
+  const id = `job_${crypto.randomUUID().replace(/-/g, "")}`;
+  const now = Math.floor(Date.now() / 1000);
+  const job = {
+    id,
+    owner: caller.name,
+    status: "queued",
+    created_at: now,
+    updated_at: now,
+    expires_at: now + JOB_TTL,
+    total_chunks: textChunks.length,
+    completed_chunks: 0,
+    bytes: 0,
+    duration: 0,
+    attempts: 0,
+    sequence: 0,      // 批次序号，队列消息须与之一致 (由 jobStore 维护)
+    lease_until: 0,   // 当前批次的租约到期时间 (秒，由 jobStore 维护)
+    error: null,
+    webhook: webhook && { ...webhook, status: "pending", attempts: 0, last_error: null },
+    audio_format: context.audioFormat,
+    options: {
+      concurrency: context.concurrency,
+      maxRetries: context.maxRetries,
+      bypassCache: context.bypassCache,
+      inputType: context.inputType,
+      lexicon: context.lexicon
+    },
+    tts_args: ttsArgs,
+    usage,
+    quota_key: caller.quotaKey || null  // 失败时按此键退回字符额度
+  };
+
+  await kvStore.put(`job:${id}:input`, JSON.stringify(textChunks), { expiration: job.expires_at });
+  await jobStore.create(job);
+  event.waitUntil(enqueueJob(id, job.sequence));
+  return job;
+}
+
+/**
+ * 处理任务查询、取消和结果下载
+ * GET /v1/audio/jobs/:id 查询进度，DELETE 取消任务，GET /v1/audio/jobs/:id/content 下载音频
+ * @param {Request} request - HTTP 请求对象
+ * @param {Object} caller - 调用方信息
+ * @param {FetchEvent} event - Cloudflare Worker 事件对象
+ * @param {string} id - 任务 ID
+ * @param {boolean} content - 是否下载结果
+ * @returns {Promise<Response>} 任务信息或音频响应
+ */
+async function handleJobRequest(request, caller, event, id, content) {
+  const allowed = content ? ["GET"] : ["GET", "DELETE"];
+  if (!allowed.includes(request.method)) {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  // 只有创建者和管理员可以访问任务
+  let job = await jobStore.get(id);
+  if (!job || (job.owner !== caller.name && !caller.admin)) {
+    return errorResponse(`任务不存在或已过期: ${id}`, 404, "not_found");
+  }
+
+  if (content) {
+    if (job.status !== "completed") {
+      return errorResponse(`任务尚未完成 (当前状态: ${job.status})`, 409, "job_not_ready");
+    }
+    return streamJobContent(job);
+  }
+
+  if (request.method === "DELETE" && isJobActive(job)) {
+    job = (await jobStore.cancel(id)) || job;
+  }
+
+  return new Response(JSON.stringify(formatJob(job)), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 处理队列消息: 合成对应任务的一批文本块，或投递任务结束通知
+ * 一批消息在同一次调用中处理，子请求上限按调用计算，因此所有消息共用一份额度；
+ * 额度不足以处理某条消息时将其重新入队，留给下一次调用。
+ * @param {Object[]} messages - 队列消息 [{ body: { job_id, type, sequence, attempt }, ack, retry }]
+ */
+async function handleJobMessages(messages) {
+  const budget = { used: 0 };
+  for (const message of messages) {
+    try {
+      if (message.body.type === "webhook") {
+        if (budget.used + 1 > MAX_SUBREQUESTS) {
+          await jobQueue.send(message.body);
+        } else {
+          budget.used++;
+          await deliverJobWebhook(message.body.job_id, message.body.attempt);
+        }
+      } else if (!await processJobBatch(message.body.job_id, budget, message.body.sequence)) {
+        await enqueueJob(message.body.job_id, message.body.sequence);
+      }
+      message.ack();
+    } catch (error) {
+      console.error(`任务 ${message.body.job_id} 处理失败:`, error);
+      message.retry();
+    }
+  }
+}
+
+/**
+ * 合成任务的下一批文本块，完成后继续入队直到全部完成
+ * 每批先通过 jobStore 原子地领取 (sequence 加一并设置租约) 再合成，后续消息须携带领取后的 sequence；
+ * 序号不符的消息 (重复投递或已被 alarm 重新投递取代的处理链) 直接丢弃，租约未过期时不重复处理。
+ * 本批结果只在仍持有该序号时提交，任务已取消或租约超时后已被其他处理链接手时放弃。
+ * 同一批次被重复投递时会覆盖写入相同的音频块，不影响结果。
+ * @param {string} id - 任务 ID
+ * @param {Object} budget - 本次调用已使用的子请求数 { used }，处理后更新
+ * @param {number} sequence - 消息携带的任务序号
+ * @returns {Promise<boolean>} 剩余额度不足以合成任何文本块时为 false，消息需留给下一次调用；
+ *   领取之前出错 (例如任务状态存储不可用) 时抛出，消息仍持有有效序号，可以重试
+ */
+async function processJobBatch(id, budget, sequence) {
+  // 预留 Token 和重试所需的子请求
+  const batchSize = Math.min(JOB_BATCH_SIZE, MAX_SUBREQUESTS - budget.used - RETRY_BUDGET - 1);
+  if (batchSize < 1) return false;
+
+  const job = await jobStore.claim(id, sequence);
+  if (!job) return true;
+  const claimed = job.sequence;
+
+  try {
+    return await runJobBatch(job, budget, batchSize);
+  } catch (error) {
+    // 领取之后出错 (例如提交结果失败) 时不能重试原消息 (其序号已作废)：
+    // 释放租约并用领取后的序号重新入队，释放也失败时由 alarm 在租约到期后重新投递
+    console.error(`任务 ${id} 处理失败:`, error);
+    if (await jobStore.commit(id, claimed, {}).catch(() => null)) await enqueueJob(id, claimed);
+    return true;
+  }
+}
+
+/**
+ * 合成已领取的一批文本块并提交结果
+ * @param {Object} job - 领取后的任务记录
+ * @param {Object} budget - 本次调用已使用的子请求数 { used }，处理后更新
+ * @param {number} batchSize - 本批最多合成的文本块数
+ * @returns {Promise<boolean>} 始终为 true
+ */
+async function runJobBatch(job, budget, batchSize) {
+  const { id, sequence: claimed } = job;
+  const start = job.completed_chunks;
+  const end = Math.min(job.total_chunks, start + batchSize);
+  const context = createSynthesisContext(job.audio_format, job.options);
+  context.subrequests = budget.used;
+
+  // 本批的字节数和时长先累计在局部变量中，整批写入成功后才计入任务，避免重试时重复累加
+  let batchBytes = 0;
+  let batchDuration = 0;
+  let batchError = null;
+  try {
+    const textChunks = await kvStore.get(`job:${id}:input`, "json");
+    const blobs = await Promise.all(scheduleWithConcurrency(
+      textChunks.slice(start, end),
+      context.concurrency,
+      (chunk, offset) => getCachedAudioChunk(start + offset, chunk, ...job.tts_args, context)
+    ));
+    for (const [offset, blob] of blobs.entries()) {
+      const bytes = await blob.arrayBuffer();
+      await kvStore.put(`job:${id}:chunk:${start + offset}`, bytes, { expiration: job.expires_at });
+      batchBytes += blob.size;
+      batchDuration += getAudioDuration(new Uint8Array(bytes), job.audio_format);
+    }
+  } catch (error) {
+    batchError = error;
+  }
+  budget.used = context.subrequests;
+
+  const patch = { attempts: 0 };
+  if (batchError) {
+    patch.attempts = job.attempts + 1;
+    if (patch.attempts >= JOB_MAX_ATTEMPTS) {
+      patch.status = "failed";
+      patch.error = batchError.message;
+    }
+  } else {
+    patch.completed_chunks = end;
+    patch.bytes = job.bytes + batchBytes;
+    patch.duration = job.duration + batchDuration;
+    if (end >= job.total_chunks) patch.status = "completed";
+  }
 
-    console.log(`成功获取新 Token，有效期 ${((decodedJwt.exp - now) / 60).toFixed(1)} 分钟`);
-    return data;
+  // 处理期间任务可能已被取消，或因租约超时由 alarm 重新投递后被新的处理链接手
+  const latest = await jobStore.commit(id, claimed, patch);
+  if (!latest) return true;
+
+  const durationMs = Date.now() - latest.created_at * 1000;
+  if (latest.status === "failed") {
+    await recordUsage({ ...latest.usage, duration_ms: durationMs, status: "error", error: latest.error });
+    await refundCharacterQuota(latest.quota_key, latest.usage.characters);
+  } else if (latest.status === "completed") {
+    await recordUsage({ ...latest.usage, duration_ms: durationMs, status: "success" });
+  }
+  await (isJobActive(latest) ? enqueueJob(id, claimed) : enqueueWebhook(latest, 1));
+  return true;
+}
+
+/**
+ * 判断任务是否仍在排队或处理中
+ * @param {Object} job - 任务记录
+ * @returns {boolean} 是否未结束
+ */
+function isJobActive(job) {
+  return job.status === "queued" || job.status === "processing";
+}
+
+/**
+ * 校验 Webhook 地址，并确认调用方已配置签名密钥
+ * 只允许 https 的公网域名，拒绝 IP 地址、localhost 和不含点的内网主机名，避免借回调访问内部服务
+ * (URL 解析会把 2130706433、0x7f.1 等写法规范化为点分 IPv4，同样会被拒绝)；
+ * WEBHOOK_ALLOW_HOSTS 中的主机 (按 host 或 hostname 匹配) 不受这些限制，也可以使用 http
+ * @param {string} callbackUrl - 回调地址
+ * @param {Object} caller - 调用方信息
+ * @returns {Promise<string|null>} 错误信息
+ */
+async function validateCallbackUrl(callbackUrl, caller) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    return `callback_url 不是有效的 URL: ${callbackUrl}`;
+  }
+  const allowListed = WEBHOOK_ALLOW_HOSTS.includes(url.host.toLowerCase()) || WEBHOOK_ALLOW_HOSTS.includes(url.hostname.toLowerCase());
+  if (url.protocol !== "https:" && !(allowListed && url.protocol === "http:")) {
+    return "callback_url 只支持 https";
+  }
+  const host = url.hostname.toLowerCase().replace(/\.$/, "");
+  if (!allowListed && (host.startsWith("[") || /^\d+(\.\d+){3}$/.test(host))) {
+    return "callback_url 不能使用 IP 地址，请使用域名";
+  }
+  if (!allowListed && (host === "localhost" || host.endsWith(".localhost") || !host.includes("."))) {
+    return `callback_url 不能指向本机或内网主机: ${url.hostname}`;
+  }
+  if (url.username || url.password) {
+    return "callback_url 不能包含用户名或密码";
+  }
+  if (!await getWebhookSecret(caller.name)) {
+    return `密钥 ${caller.name} 未配置 webhook_secret，无法签名回调`;
+  }
+  return null;
+}
+
+/**
+ * 获取密钥对应的 Webhook 签名密钥 (投递时读取，轮换后立即生效)
+ * @param {string} keyName - 密钥名
+ * @returns {Promise<string|null>} 签名密钥
+ */
+async function getWebhookSecret(keyName) {
+  const keys = await loadApiKeys();
+  return keys.find(entry => entry.name === keyName)?.webhook_secret || WEBHOOK_SECRET || null;
+}
+
+/**
+ * 将任务结束通知投递到队列，非首次投递按指数退避延迟
+ * @param {Object} job - 任务记录
+ * @param {number} attempt - 第几次投递
+ * @returns {Promise<void>}
+ */
+async function enqueueWebhook(job, attempt) {
+  if (!job.webhook) return;
+  const delaySeconds = attempt > 1 ? WEBHOOK_RETRY_DELAY * 2 ** (attempt - 2) : 0;
+  try {
+    await jobQueue.send({ type: "webhook", job_id: job.id, attempt }, delaySeconds ? { delaySeconds } : undefined);
   } catch (error) {
-    console.error("获取端点失败:", error);
+    console.error(`任务 ${job.id} 的回调入队失败:`, error);
+  }
+}
+
+/**
+ * 向 callback_url 推送任务结束通知
+ * 请求体为 JSON，签名头 X-Webhook-Signature 为 t=<时间戳>,v1=<HMAC-SHA256("<时间戳>.<请求体>") 十六进制>；
+ * 接收方应校验签名并拒绝时间戳过旧的请求。非 2xx 响应或网络错误会重试。
+ * @param {string} id - 任务 ID
+ * @param {number} attempt - 第几次投递
+ */
+async function deliverJobWebhook(id, attempt) {
+  const job = await jobStore.get(id);
+  if (!job?.webhook || job.webhook.status === "delivered") return;
+
+  const body = JSON.stringify({
+    id: job.id,
+    object: "audio.job",
+    status: job.status,
+    duration: roundSeconds(job.duration),
+    characters: job.usage.characters,
+    download_url: job.status === "completed" ? `${job.webhook.origin}/v1/audio/jobs/${job.id}/content` : null,
+    error: job.error,
+    created_at: job.created_at,
+    finished_at: job.updated_at
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const secret = await getWebhookSecret(job.owner);
+    if (!secret) throw new Error("未配置 webhook_secret");
+    const signature = bytesToHex(await hmacSha256(new TextEncoder().encode(secret), `${timestamp}.${body}`));
+    const response = await fetch(job.webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "tts-worker-webhook",
+        "X-Webhook-Id": job.id,
+        "X-Webhook-Signature": `t=${timestamp},v1=${signature}`
+      },
+      body,
+      // 不跟随重定向，否则可绕过 validateCallbackUrl 的地址限制
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) throw new Error(`回调返回 ${response.status}`);
+    job.webhook.status = "delivered";
+    job.webhook.last_error = null;
+  } catch (error) {
+    job.webhook.last_error = error.message;
+    job.webhook.status = attempt >= WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+  }
+
+  job.webhook.attempts = attempt;
+  await jobStore.updateWebhook(id, job.webhook);
+  if (job.webhook.status === "pending") await enqueueWebhook(job, attempt + 1);
+}
+
+/**
+ * 按顺序输出任务的全部音频块
+ * @param {Object} job - 任务记录
+ * @returns {Response} 音频响应
+ */
+function streamJobContent(job) {
+  const { audio_format: audioFormat } = job;
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+
+  (async () => {
+    if (audioFormat.wrapWav) {
+      await writer.write(createWavHeader(job.bytes, audioFormat.sampleRate));
+    }
+    for (let i = 0; i < job.total_chunks; i++) {
+      const chunk = await kvStore.get(`job:${job.id}:chunk:${i}`, "arrayBuffer");
+      if (!chunk) throw new Error(`任务 ${job.id} 的音频块 #${i} 已丢失`);
+      await writer.write(new Uint8Array(chunk));
+    }
+    await writer.close();
+  })().catch(error => {
+    console.error("任务结果输出失败:", error);
+    writer.abort(error).catch(() => { });
+  });
+
+  const extension = audioFormat.format === "opus" ? "ogg" : audioFormat.format;
+  return new Response(readable, {
+    headers: {
+      "Content-Type": audioFormat.contentType,
+      "Content-Length": String(job.bytes + (audioFormat.wrapWav ? 44 : 0)),
+      "Content-Disposition": `attachment; filename="${job.id}.${extension}"`,
+      ...makeCORSHeaders()
+    }
+  });
+}
+
+/**
+ * 将任务投递到队列
+ * @param {string} id - 任务 ID
+ * @param {number} sequence - 任务当前的批次序号
+ * @returns {Promise<void>}
+ */
+async function enqueueJob(id, sequence) {
+  try {
+    await jobQueue.send({ job_id: id, sequence });
+  } catch (error) {
+    console.error(`任务 ${id} 入队失败:`, error);
+  }
+}
+
+/**
+ * 创建基于 Durable Object 的任务状态存储
+ * 每个任务对应一个对象实例，各操作的语义见 durable-objects.js 中的 JobStore
+ * @param {DurableObjectNamespace} namespace - TTS_JOB_STORE 绑定
+ * @returns {Object} 任务状态存储 (create/get/claim/commit/cancel/updateWebhook)，操作未生效时返回 null
+ */
+function createDurableJobStore(namespace) {
+  const call = async (id, action, body = {}) => {
+    const stub = namespace.get(namespace.idFromName(id));
+    const response = await stub.fetch(`https://job/${action}`, { method: "POST", body: JSON.stringify(body) });
+    if (!response.ok) throw new Error(`任务状态请求失败: HTTP ${response.status}`);
+    return (await response.json()).job;
+  };
+
+  return {
+    create: job => call(job.id, "create", { job, stall: JOB_STALL_TIMEOUT }),
+    get: id => call(id, "get"),
+    claim: (id, sequence) => call(id, "claim", { sequence }),
+    commit: (id, sequence, patch) => call(id, "commit", { sequence, patch }),
+    cancel: id => call(id, "cancel"),
+    updateWebhook: (id, webhook) => call(id, "webhook", { webhook })
+  };
+}
+
+/**
+ * 生成对外返回的任务信息
+ * @param {Object} job - 任务记录
+ * @returns {Object} 任务信息
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    object: "audio.job",
+    status: job.status,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    expires_at: job.expires_at,
+    progress: {
+      completed_chunks: job.completed_chunks,
+      total_chunks: job.total_chunks,
+      percent: Math.floor(job.completed_chunks / job.total_chunks * 100)
+    },
+    characters: job.usage.characters,
+    response_format: job.audio_format.format,
+    duration: roundSeconds(job.duration),
+    error: job.error,
+    content_url: job.status === "completed" ? `/v1/audio/jobs/${job.id}/content` : null,
+    callback: job.webhook && {
+      url: job.webhook.url,
+      status: job.webhook.status,
+      attempts: job.webhook.attempts,
+      last_error: job.webhook.last_error
+    }
+  };
+}
+
+// =================================================================================
+// 文本规范化 (数字、日期、时间、单位、货币)
+// =================================================================================
+
+const ZH_DIGITS = "零一二三四五六七八九";
+const ZH_SMALL_UNITS = ["", "十", "百", "千"];
+const ZH_LARGE_UNITS = ["", "万", "亿", "万亿"];
+
+const EN_ONES = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const EN_TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const EN_SCALES = ["", "thousand", "million", "billion", "trillion"];
+const EN_MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+// 计量单位 (按长度降序匹配，避免 km/h 被识别为 km)
+const MEASUREMENT_UNITS = {
+  "km/h": { zh: "公里每小时", en: ["kilometer per hour", "kilometers per hour"] },
+  "m/s": { zh: "米每秒", en: ["meter per second", "meters per second"] },
+  "km²": { zh: "平方公里", en: ["square kilometer", "square kilometers"] },
+  "m²": { zh: "平方米", en: ["square meter", "square meters"] },
+  "°C": { zh: "摄氏度", en: ["degree Celsius", "degrees Celsius"] },
+  "℃": { zh: "摄氏度", en: ["degree Celsius", "degrees Celsius"] },
+  "°F": { zh: "华氏度", en: ["degree Fahrenheit", "degrees Fahrenheit"] },
+  "kg": { zh: "千克", en: ["kilogram", "kilograms"] },
+  "mg": { zh: "毫克", en: ["milligram", "milligrams"] },
+  "km": { zh: "公里", en: ["kilometer", "kilometers"] },
+  "cm": { zh: "厘米", en: ["centimeter", "centimeters"] },
+  "mm": { zh: "毫米", en: ["millimeter", "millimeters"] },
+  "ml": { zh: "毫升", en: ["milliliter", "milliliters"] },
+  "mL": { zh: "毫升", en: ["milliliter", "milliliters"] },
+  "g": { zh: "克", en: ["gram", "grams"] },
+  "m": { zh: "米", en: ["meter", "meters"] },
+  "L": { zh: "升", en: ["liter", "liters"] }
+};
+
+// 货币符号: zh 为单位名 (人民币按元角分读)，en 为 [单数, 复数, 辅币单数, 辅币复数]
+const CURRENCY_SYMBOLS = {
+  "¥": { zh: "元", en: ["yuan", "yuan", "fen", "fen"] },
+  "￥": { zh: "元", en: ["yuan", "yuan", "fen", "fen"] },
+  "$": { zh: "美元", en: ["dollar", "dollars", "cent", "cents"] },
+  "€": { zh: "欧元", en: ["euro", "euros", "cent", "cents"] },
+  "£": { zh: "英镑", en: ["pound", "pounds", "penny", "pence"] }
+};
+
+// 数字 (可含千分位和小数)
+const NUMBER_SOURCE = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+
+/**
+ * 规范化规则，按顺序执行；每条规则输出不含阿拉伯数字的读法，后续规则不会重复处理。
+ * render 的参数为正则匹配结果和语言 (zh/en)，返回 null 时保留原文。
+ */
+const NUMBER_NORMALIZATION_RULES = [
+  {
+    name: "date",
+    pattern: /(?<!\d)(\d{4})(?:[-/.](\d{1,2})[-/.](\d{1,2})|年(\d{1,2})月(\d{1,2})[日号])(?!\d)/g,
+    render: ([text, year, m1, d1, m2, d2], lang) => {
+      const month = Number(m1 ?? m2);
+      const day = Number(d1 ?? d2);
+      // 按当月天数校验，不存在的日期不能交给后续规则 (否则 "-13" 会读作负数)
+      if (month < 1 || month > 12 || day < 1 || day > new Date(Date.UTC(Number(year), month, 0)).getUTCDate()) {
+        if (m2 !== undefined) return null;
+        return text.split(/[-/.]/).map(group => lang === "zh"
+          ? readDigitsZh(group)
+          : [...group].map(digit => EN_ONES[digit]).join(" ")).join(lang === "zh" ? " " : ", ");
+      }
+      return lang === "zh"
+        ? `${readDigitsZh(year)}年${readIntegerZh(String(month))}月${readIntegerZh(String(day))}日`
+        : `${EN_MONTHS[month - 1]} ${toOrdinalEn(readIntegerEn(String(day)))}, ${readYearEn(year)}`;
+    }
+  },
+  {
+    name: "time",
+    // 24:00 (一天结束) 只接受整点
+    pattern: /(?<![\d:])([01]?\d|2[0-3]|24(?=:00(?::00)?(?![\d:]))):([0-5]\d)(?::([0-5]\d))?(?![\d:])/g,
+    render: ([, hours, minutes, seconds], lang) => {
+      const h = String(Number(hours));
+      if (h === "24") return lang === "zh" ? "二十四点整" : "midnight";
+      const m = Number(minutes);
+      const sec = Number(seconds || 0);
+      if (lang === "zh") {
+        // 整点 (含秒为 0) 读 "整"；只有分钟为 0 时读 "零分"，避免 "十二点五秒"
+        const hourPart = `${h === "2" ? "两" : readIntegerZh(h)}点`;
+        if (m === 0 && sec === 0) return `${hourPart}整`;
+        const minutePart = m === 0 ? "零分" : `${m < 10 ? "零" : ""}${readIntegerZh(String(m))}分`;
+        return `${hourPart}${minutePart}${sec ? `${readIntegerZh(String(sec))}秒` : ""}`;
+      }
+      const minutePart = m === 0 ? "o'clock" : `${m < 10 ? "oh " : ""}${readIntegerEn(String(m))}`;
+      const secondPart = sec ? ` and ${readIntegerEn(String(sec))} ${sec === 1 ? "second" : "seconds"}` : "";
+      return `${readIntegerEn(h)} ${minutePart}${secondPart}`;
+    }
+  },
+  {
+    name: "phone",
+    pattern: /(?<![\d-])(?:1[3-9]\d{9}|0\d{2,3}-\d{7,8}|\d{3}-\d{3}-\d{4})(?![\d-])/g,
+    render: ([number], lang) => {
+      // 手机号按 3-4-4 分组，其余按原有连字符分组；中文电话号码中的 1 读作 "幺"
+      const groups = number.includes("-") ? number.split("-") : [number.slice(0, 3), number.slice(3, 7), number.slice(7)];
+      return groups.map(group => lang === "zh"
+        ? [...group].map(digit => digit === "1" ? "幺" : ZH_DIGITS[digit]).join("")
+        : [...group].map(digit => EN_ONES[digit]).join(" ")).join(" ");
+    }
+  },
+  {
+    name: "currency",
+    // 符号后紧跟同一货币的单位名 (如 "¥12.50元") 时一并匹配，只读一次单位
+    pattern: new RegExp(`([¥￥$€£])\\s?(${NUMBER_SOURCE})(?![\\d])(元|美元|欧元|英镑)?`, "g"),
+    render: ([, symbol, amount, unit], lang) => {
+      const currency = CURRENCY_SYMBOLS[symbol];
+      const spoken = readCurrency(currency, amount, lang);
+      return unit && unit !== currency.zh ? spoken + unit : spoken;
+    }
+  },
+  {
+    name: "percent",
+    pattern: new RegExp(`(?<![\\w.])(-?)(${NUMBER_SOURCE})\\s?[%％]`, "g"),
+    render: ([, sign, value], lang) => lang === "zh"
+      ? `${sign ? "负" : ""}百分之${readNumberZh(value)}`
+      : `${sign ? "minus " : ""}${readNumberEn(value)} percent`
+  },
+  {
+    name: "unit",
+    pattern: new RegExp(
+      `(?<![\\w.])(-?)(${NUMBER_SOURCE})\\s?(${Object.keys(MEASUREMENT_UNITS).map(unit => unit.replace(/[/]/g, "\\/")).join("|")})(?![A-Za-z²/])`,
+      "g"
+    ),
+    render: ([, sign, value, unit], lang) => {
+      const names = MEASUREMENT_UNITS[unit];
+      return lang === "zh"
+        ? `${sign ? "负" : ""}${readNumberZh(value)}${names.zh}`
+        : `${sign ? "minus " : ""}${readNumberEn(value)} ${Number(value.replace(/,/g, "")) === 1 ? names.en[0] : names.en[1]}`;
+    }
+  },
+  {
+    name: "fraction",
+    pattern: /(?<![\w./])(\d+)\/(\d+)(?![\w/])/g,
+    render: ([, numerator, denominator], lang) => {
+      if (Number(denominator) === 0) return null;
+      return lang === "zh"
+        ? `${readIntegerZh(denominator)}分之${readIntegerZh(numerator)}`
+        : `${readIntegerEn(numerator)} over ${readIntegerEn(denominator)}`;
+    }
+  },
+  {
+    name: "year",
+    pattern: /(?<!\d)(\d{4})(?=年)/g,
+    render: ([, year], lang) => lang === "zh" ? readDigitsZh(year) : null
+  },
+  {
+    name: "number",
+    // 字母加连字符后的编号 (COVID-19) 和多段版本号 (1.2.3) 保留原文
+    pattern: new RegExp(`(?<![\\w.,])(?<![A-Za-z]-)(-?)(${NUMBER_SOURCE})(?![\\w]|\\.\\d)`, "g"),
+    render: ([, sign, value], lang) => lang === "zh"
+      ? `${sign ? "负" : ""}${readNumberZh(value)}`
+      : `${sign ? "minus " : ""}${readNumberEn(value)}`
+  }
+];
+
+/**
+ * 按目标语言朗读货币金额
+ * @param {Object} currency - CURRENCY_SYMBOLS 中的货币
+ * @param {string} amount - 金额 (可含千分位和小数)
+ * @param {string} lang - zh 或 en
+ * @returns {string} 读法
+ */
+function readCurrency(currency, amount, lang) {
+  const [integer, fraction = ""] = amount.replace(/,/g, "").split(".");
+  if (lang === "zh") {
+    if (currency.zh !== "元" || fraction.length > 2) return `${readNumberZh(amount)}${currency.zh}`;
+    // 人民币按元角分读，2 元读作 "两元"
+    const jiao = Number(fraction[0] || 0);
+    const fen = Number(fraction[1] || 0);
+    return `${integer === "2" ? "两" : readIntegerZh(integer)}元${jiao ? `${ZH_DIGITS[jiao]}角` : ""}${fen ? `${jiao ? "" : "零"}${ZH_DIGITS[fen]}分` : ""}`;
+  }
+  const [one, many, minorOne, minorMany] = currency.en;
+  const major = `${readIntegerEn(integer)} ${Number(integer) === 1 ? one : many}`;
+  if (fraction.length === 0 || Number(fraction) === 0) return major;
+  if (fraction.length > 2) return `${readNumberEn(amount)} ${many}`;
+  const minor = Number(fraction.padEnd(2, "0"));
+  return `${major} and ${readIntegerEn(String(minor))} ${minor === 1 ? minorOne : minorMany}`;
+}
+
+/**
+ * 将数字、日期、时间、单位、货币和电话号码转换为目标语言的读法
+ * 仅支持中文 (zh-*) 和英文 (en-*) 语音，其他语言原样返回。
+ * @param {string} text - 输入文本
+ * @param {string} locale - 目标语音的语言，如 zh-CN、en-US
+ * @returns {string} 规范化后的文本
+ */
+function normalizeNumbers(text, locale) {
+  const lang = /^zh/i.test(locale) ? "zh" : /^en/i.test(locale) ? "en" : null;
+  if (!lang) return text;
+
+  return NUMBER_NORMALIZATION_RULES.reduce((result, rule) => result.replace(rule.pattern, (...args) => {
+    const [offset, source] = args.slice(-2);
+    const match = args.slice(0, -2);
+    const spoken = rule.render(match, lang);
+    if (spoken === null) return match[0];
+    if (lang === "zh") return spoken;
+    // 英文读法与相邻的字母或数字之间补空格
+    const before = /\w/.test(source[offset - 1] || "") ? " " : "";
+    const after = /\w/.test(source[offset + match[0].length] || "") ? " " : "";
+    return before + spoken + after;
+  }), text);
+}
+
+/**
+ * 获取语音名中的语言区域
+ * @param {string} voiceName - Microsoft 语音名，如 zh-CN-XiaoxiaoNeural
+ * @returns {string|null} 语言区域，如 zh-CN
+ */
+function getVoiceLocale(voiceName) {
+  return /^([a-z]{2,3}-[A-Za-z]{2,4})-/.exec(voiceName || "")?.[1] || null;
+}
+
+/**
+ * 按中文读法朗读数字 (可含千分位和小数)
+ * @param {string} value - 数字字符串
+ * @returns {string} 中文读法
+ */
+function readNumberZh(value) {
+  const [integer, fraction] = value.replace(/,/g, "").split(".");
+  return fraction ? `${readIntegerZh(integer)}点${readDigitsZh(fraction)}` : readIntegerZh(integer);
+}
+
+/**
+ * 按中文读法朗读整数，超过 16 位或以 0 开头的多位数逐位朗读
+ * @param {string} digits - 整数字符串
+ * @returns {string} 中文读法
+ */
+function readIntegerZh(digits) {
+  if (digits.length > 16 || (digits.length > 1 && digits.startsWith("0"))) return readDigitsZh(digits);
+  if (/^0+$/.test(digits)) return "零";
+
+  // 从低位起每 4 位为一节
+  const sections = [];
+  for (let end = digits.length; end > 0; end -= 4) {
+    sections.unshift(digits.slice(Math.max(0, end - 4), end));
+  }
+
+  let result = "";
+  let pendingZero = false;
+  sections.forEach((section, index) => {
+    const largeUnit = ZH_LARGE_UNITS[sections.length - 1 - index];
+    if (Number(section) === 0) {
+      pendingZero = result.length > 0;
+      return;
+    }
+    // 节内高位为 0 (如 10,001 中的 0001) 时补 "零"
+    if (pendingZero || (result && section.padStart(4, "0").startsWith("0"))) result += "零";
+    pendingZero = false;
+
+    let sectionText = "";
+    let zero = false;
+    const padded = section.padStart(4, "0");
+    for (let i = 0; i < 4; i++) {
+      const digit = Number(padded[i]);
+      if (digit === 0) {
+        zero = sectionText.length > 0;
+        continue;
+      }
+      if (zero) sectionText += "零";
+      zero = false;
+      sectionText += ZH_DIGITS[digit] + ZH_SMALL_UNITS[3 - i];
+    }
+    result += sectionText + largeUnit;
+  });
+
+  // 10-19 读作 "十"、"十五"，而非 "一十五"；首位的 2 在百、千、万、亿前读作 "两"
+  return result.startsWith("一十") ? result.slice(1) : result.replace(/^二(?=[百千万亿])/, "两");
+}
+
+/**
+ * 逐位朗读数字 (年份、小数部分等)
+ * @param {string} digits - 数字字符串
+ * @returns {string} 中文读法
+ */
+function readDigitsZh(digits) {
+  return [...digits].map(digit => ZH_DIGITS[digit]).join("");
+}
+
+/**
+ * 按英文读法朗读数字 (可含千分位和小数)
+ * @param {string} value - 数字字符串
+ * @returns {string} 英文读法
+ */
+function readNumberEn(value) {
+  const [integer, fraction] = value.replace(/,/g, "").split(".");
+  return fraction
+    ? `${readIntegerEn(integer)} point ${[...fraction].map(digit => EN_ONES[digit]).join(" ")}`
+    : readIntegerEn(integer);
+}
+
+/**
+ * 按英文读法朗读整数，超过千万亿或以 0 开头的多位数逐位朗读
+ * @param {string} digits - 整数字符串
+ * @returns {string} 英文读法
+ */
+function readIntegerEn(digits) {
+  if (digits.length > 15 || (digits.length > 1 && digits.startsWith("0"))) {
+    return [...digits].map(digit => EN_ONES[digit]).join(" ");
+  }
+  const number = Number(digits);
+  if (number === 0) return "zero";
+
+  const words = [];
+  let remaining = number;
+  for (let scale = EN_SCALES.length - 1; scale >= 0; scale--) {
+    const unit = 1000 ** scale;
+    const group = Math.floor(remaining / unit);
+    remaining %= unit;
+    if (group === 0) continue;
+    const hundreds = Math.floor(group / 100);
+    const rest = group % 100;
+    if (hundreds) words.push(EN_ONES[hundreds], "hundred");
+    if (rest >= 20) words.push(rest % 10 ? `${EN_TENS[Math.floor(rest / 10)]}-${EN_ONES[rest % 10]}` : EN_TENS[rest / 10]);
+    else if (rest) words.push(EN_ONES[rest]);
+    if (EN_SCALES[scale]) words.push(EN_SCALES[scale]);
+  }
+  return words.join(" ");
+}
+
+/**
+ * 按英文习惯朗读年份 (2024 -> twenty twenty-four，2005 -> two thousand five)
+ * @param {string} year - 四位年份
+ * @returns {string} 英文读法
+ */
+function readYearEn(year) {
+  // 2000-2009 及整千年份按基数读
+  if (Number(year) % 1000 < 10) return readIntegerEn(year);
+  const high = readIntegerEn(year.slice(0, 2));
+  const low = Number(year.slice(2));
+  if (low === 0) return `${high} hundred`;
+  return `${high} ${low < 10 ? "oh " : ""}${readIntegerEn(String(low))}`;
+}
+
+/**
+ * 将英文基数词读法转换为序数词 (twenty-one -> twenty-first)
+ * @param {string} cardinal - 基数词
+ * @returns {string} 序数词
+ */
+function toOrdinalEn(cardinal) {
+  const irregular = { one: "first", two: "second", three: "third", five: "fifth", eight: "eighth", nine: "ninth", twelve: "twelfth" };
+  return cardinal.replace(/[a-z]+$/, word => irregular[word] || (word.endsWith("y") ? `${word.slice(0, -1)}ieth` : `${word}th`));
+}
+
+// =================================================================================
+// 文本清理规则
+// =================================================================================
+
+// 内置清理阶段，按默认顺序排列；键名即对应的 cleaning_options 开关
+const CLEANING_STAGES = {
+  // 结构化内容移除
+  remove_urls: text => text.replace(/(https?:\/\/[^\s]+)/g, ''),
+  remove_markdown: text => text
+    .replace(/!\[.*?\]\(.*?\)/g, '')        // 图片链接
+    .replace(/\[(.*?)\]\(.*?\)/g, '$1')     // 普通链接，保留链接文本
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')     // 粗体
+    .replace(/(\*|_)(.*?)\1/g, '$2')        // 斜体
+    .replace(/`{1,3}(.*?)`{1,3}/g, '$1')    // 代码块
+    .replace(/#{1,6}\s/g, ''),              // 标题标记
+  // 自定义关键词 (逗号分隔，按字面删除；含逗号的关键词请改用 replace 规则)
+  custom_keywords: (text, options) => {
+    const keywords = String(options.custom_keywords)
+      .split(',')
+      .map(k => k.trim())
+      .filter(k => k);
+    if (keywords.length === 0) return text;
+    // 转义正则表达式特殊字符
+    const escapedKeywords = keywords.map(k => k.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'));
+    return text.replace(new RegExp(escapedKeywords.join('|'), 'g'), '');
+  },
+  // 字符移除
+  remove_emoji: text => text.replace(/\p{Emoji_Presentation}/gu, ''),
+  // 引用标记 (如 [1]，以及句末的 1、2 等引用数字)；后接数字的标点属于小数或时间 (3.5、10:30)，不视为句末
+  remove_citation_numbers: text => text.replace(/\[\d{1,3}\]|\s\d{1,2}(?=[.。，,;；:：](?!\d)|$)/g, ''),
+  // 数字规范化，未给出语言时跳过 (如自动语言切换时推迟到按片段语言进行)
+  normalize_numbers: (text, options, locale) => locale ? normalizeNumbers(text, locale) : text,
+  // 通用格式清理: 合并所有空白字符
+  remove_line_breaks: text => text.replace(/\s+/g, ' ')
+};
+const DEFAULT_CLEANING_PIPELINE = Object.keys(CLEANING_STAGES).map(name => ({ type: "stage", name }));
+const CLEANING_RULE_TYPES = ["regex", "replace", "stage"];
+
+// 清理预设内存缓存
+let cleaningPresetCache = { presets: null, loadedAt: 0 };
+
+/**
+ * 加载清理预设 (内置预设 < CLEANING_PRESETS 环境变量 < kvStore)
+ * @returns {Promise<Object>} 预设名到清理选项的映射
+ */
+async function loadCleaningPresets() {
+  if (cleaningPresetCache.presets && Date.now() - cleaningPresetCache.loadedAt < CONFIG_CACHE_TTL) {
+    return cleaningPresetCache.presets;
+  }
+
+  const stored = await kvStore.get(CLEANING_PRESETS_KV_KEY, "json").catch(error => {
+    console.error("读取清理预设失败:", error);
+    return null;
+  });
+  const configured = typeof CLEANING_PRESETS === "string" ? JSON.parse(CLEANING_PRESETS) : CLEANING_PRESETS;
+
+  const presets = {};
+  for (const table of [DEFAULT_CLEANING_PRESETS, configured, stored]) {
+    if (!table) continue;
+    if (typeof table !== "object" || Array.isArray(table)) {
+      throw new Error("清理预设必须是 JSON 对象");
+    }
+    for (const [name, preset] of Object.entries(table)) {
+      if (preset && typeof preset === "object" && !Array.isArray(preset)) presets[name] = preset;
+    }
+  }
+
+  cleaningPresetCache = { presets, loadedAt: Date.now() };
+  return presets;
+}
+
+/**
+ * 将有序清理规则编译为 cleanText 的执行管线
+ * 规则中不含 stage 时，规则先于全部内置阶段执行；含有 stage 时规则表即完整管线，
+ * 未列出的内置阶段不执行。
+ * @param {Object[]} rules - 规则 [{ type: "regex", pattern, flags, replacement } |
+ *   { type: "replace", find, replacement } | { type: "stage", name, enabled }]
+ * @param {number} [presetCount] - 前 presetCount 条来自预设，其余为请求提供 (正则计入 checkCleaningCost)
+ * @returns {Object[]|{error: string}} 管线步骤，或错误信息
+ */
+function compileCleaningRules(rules, presetCount = 0) {
+  if (rules.length > MAX_CLEANING_RULES) {
+    return { error: `清理规则过多，最多 ${MAX_CLEANING_RULES} 条 (含预设)` };
+  }
+
+  const pipeline = [];
+  const allowance = { charsets: MAX_REGEX_ATOM_CHARSETS };
+  for (const [index, rule] of rules.entries()) {
+    const label = `清理规则 ${index + 1}`;
+    if (!rule || typeof rule !== "object" || !CLEANING_RULE_TYPES.includes(rule.type)) {
+      return { error: `${label}: type 必须是 ${CLEANING_RULE_TYPES.join(", ")} 之一` };
+    }
+    const replacement = rule.replacement ?? "";
+    if (rule.type !== "stage" && typeof replacement !== "string") {
+      return { error: `${label}: replacement 必须是字符串` };
+    }
+
+    if (rule.type === "stage") {
+      if (!Object.hasOwn(CLEANING_STAGES, rule.name)) {
+        return { error: `${label}: 未知的清理阶段 ${rule.name}，可选值: ${Object.keys(CLEANING_STAGES).join(", ")}` };
+      }
+      if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+        return { error: `${label}: enabled 必须是布尔值` };
+      }
+      pipeline.push({ type: "stage", name: rule.name, enabled: rule.enabled });
+    } else if (rule.type === "replace") {
+      if (typeof rule.find !== "string" || !rule.find) {
+        return { error: `${label}: find 必须是非空字符串` };
+      }
+      pipeline.push({ type: "replace", find: rule.find, replacement });
+    } else {
+      const flags = rule.flags ?? "";
+      if (typeof rule.pattern !== "string" || !rule.pattern) {
+        return { error: `${label}: pattern 必须是非空字符串` };
+      }
+      if (rule.pattern.length > MAX_CLEANING_PATTERN_LENGTH) {
+        return { error: `${label}: 正则过长，最多 ${MAX_CLEANING_PATTERN_LENGTH} 个字符` };
+      }
+      if (typeof flags !== "string" || !/^[imsu]*$/.test(flags)) {
+        return { error: `${label}: flags 仅支持 i、m、s、u (总是全局替换)` };
+      }
+      let regex;
+      try {
+        regex = new RegExp(rule.pattern, `g${flags}`);
+      } catch (error) {
+        return { error: `${label}: 无效的正则表达式 (${error.message})` };
+      }
+      const analysis = analyzeCleaningRegex(rule.pattern, flags, allowance);
+      if (analysis.error) {
+        return { error: `${label}: ${analysis.error}` };
+      }
+      pipeline.push({ type: "regex", regex, replacement, degree: analysis.degree, custom: index >= presetCount });
+    }
+  }
+
+  return pipeline.some(step => step.type === "stage")
+    ? pipeline
+    : [...pipeline, ...DEFAULT_CLEANING_PIPELINE];
+}
+
+/**
+ * 分析正则的最坏情况回溯开销
+ * 用户规则直接在 Worker 中执行，回溯型正则引擎遇到歧义结构时耗时会随输入长度指数或高次增长:
+ * - 指数级的写法直接拒绝: 重复的分组 (+、*、{n,m} 等) 内含有量词、分支 (|) 或子分组，如 (a+)+、(a|a)+、(.*a){12}，
+ *   以及反向引用和先行/后行断言；
+ * - 其余按多项式次数估算: 后面还有可能匹配失败的部分 (必须匹配的原子、$、\b) 时，每个起始位置上的
+ *   无界量词都可能扫描到文本末尾再逐个回溯 (如 [^x]*x、\s+$ 为 2 次；单独的 \s+ 总能匹配成功，为 1 次)；
+ *   字符集相交且没有被必须匹配的原子隔开的无界量词 (如 \w*\w*x) 每多一个次数加一，
+ *   字符集互不相交的相邻量词 (如 (\d+)\s*元) 不增加次数。
+ * @param {string} pattern - 正则源码
+ * @param {string} flags - 正则标志 (不含 g)，用于判断字符集
+ * @param {Object} allowance - 本次请求剩余可计算的字符集数 { charsets }
+ * @returns {{error: string}|{degree: number}} 拒绝原因，或开销随文本长度增长的次数
+ */
+function analyzeCleaningRegex(pattern, flags, allowance) {
+  const groups = [];   // 尚未闭合的分组
+  let pending = [];    // 最近的必须匹配原子之后仍可相互让渡字符的无界量词 [{ atom, depth }]
+  let maxDepth = 0;    // 后面跟有可能失败部分的量词的最大回溯层数
+
+  // 遇到可能匹配失败的部分: 之前的量词都可能被逐个回溯
+  const settle = () => {
+    maxDepth = Math.max(maxDepth, ...pending.map(entry => entry.depth));
+  };
+
+  // 两个原子是否可能匹配同一字符 (分组视为与任何原子相交)
+  const overlaps = (a, b) => {
+    if (a === null || b === null) return true;
+    const left = getRegexAtomCharset(a, flags, allowance);
+    const right = getRegexAtomCharset(b, flags, allowance);
+    return !left || !right || left.some((bits, index) => (bits & right[index]) !== 0);
+  };
+
+  // 处理原子及其量词；atom 为原子源码，分组为 null
+  const apply = (atom, quantifier) => {
+    if (groups.length > 0 && quantifier) groups[groups.length - 1].quantified = true;
+    if (!quantifier?.optional) {
+      // 必须匹配的原子 (含 + 的首次匹配) 可能失败，并隔开与其字符集不相交的量词
+      settle();
+      pending = pending.filter(entry => overlaps(entry.atom, atom));
+    }
+    if (quantifier?.unbounded) {
+      const depth = 1 + Math.max(0, ...pending.filter(entry => overlaps(entry.atom, atom)).map(entry => entry.depth));
+      pending = [...pending, { atom, depth }];
+    }
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "|") {
+      const group = groups[groups.length - 1];
+      // 每个分支都从分组开始前的状态起算
+      if (group) {
+        group.alternation = true;
+        group.branchEnds.push(...pending);
+      }
+      pending = group ? group.pendingBefore : [];
+      continue;
+    }
+    if (char === "(") {
+      if (/^\(\?<?[=!]/.test(pattern.slice(i, i + 4))) return { error: "不支持先行/后行断言" };
+      if (groups.length > 0) groups[groups.length - 1].nested = true;
+      groups.push({ alternation: false, nested: false, quantified: false, pendingBefore: pending, branchEnds: [] });
+      continue;
+    }
+    if (char === ")") {
+      const group = groups.pop();
+      if (!group) return { degree: 1 + maxDepth }; // 括号不配对，交给 RegExp 报错
+      const quantifier = readRegexQuantifier(pattern, i + 1);
+      if (quantifier?.repeats && (group.alternation || group.nested || group.quantified)) {
+        return { error: "重复的分组内不能再含有量词、分支 (|) 或子分组 (如 (a+)+、(a|a)+)" };
+      }
+      // 分组之后可能处于任一分支的结束状态；可选分组还可能完全跳过
+      pending = [...group.branchEnds, ...pending, ...(quantifier?.optional ? group.pendingBefore : [])];
+      if (quantifier) {
+        i += quantifier.length;
+        if (groups.length > 0) groups[groups.length - 1].quantified = true;
+        if (quantifier.unbounded) apply(null, quantifier);
+      }
+      continue;
+    }
+    if (char === "^") continue;
+    if (char === "$" || (char === "\\" && /[bB]/.test(pattern[i + 1]))) {
+      settle();
+      if (char === "\\") i++;
+      continue;
+    }
+
+    const atomStart = i;
+    if (char === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1])) return { error: "不支持反向引用" };
+      i++;
+      // \p{...}、\u{...} 整体视为一个原子
+      if (/[pPu]/.test(pattern[i]) && pattern[i + 1] === "{") {
+        const close = pattern.indexOf("}", i);
+        if (close > 0) i = close;
+      }
+    } else if (char === "[") {
+      // 字符类视为一个原子，其中的量词字符是字面量
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    }
+    const atom = pattern.slice(atomStart, i + 1);
+
+    const quantifier = readRegexQuantifier(pattern, i + 1);
+    if (quantifier) i += quantifier.length;
+    apply(atom, quantifier);
+  }
+  return { degree: 1 + maxDepth };
+}
+
+// 单字符原子在 BMP 上匹配的字符集 (位图)，键为 "标志/原子"；按插入顺序淘汰
+const regexAtomCharsets = new Map();
+const REGEX_ATOM_CHARSET_CACHE_SIZE = 64;
+let bmpCharacters = null;
+
+/**
+ * 获取单字符原子在 BMP 范围内匹配的字符集 (不含辅助平面字符，如 Emoji)
+ * 每次计算需扫描全部 65536 个字符，未命中缓存时消耗 allowance；额度用尽时返回 null (按相交处理)
+ * @param {string} atom - 原子源码，如 \d、[^x]、元
+ * @param {string} flags - 正则标志
+ * @param {Object} allowance - 剩余可计算的字符集数 { charsets }
+ * @returns {Uint32Array|null} 位图，无法计算时为 null
+ */
+function getRegexAtomCharset(atom, flags, allowance) {
+  const key = `${flags}/${atom}`;
+  if (regexAtomCharsets.has(key)) return regexAtomCharsets.get(key);
+  if (allowance.charsets <= 0) return null;
+  allowance.charsets--;
+
+  bmpCharacters ??= Array.from({ length: 0x10000 }, (_, code) => String.fromCharCode(code)).join("");
+  let charset = new Uint32Array(0x10000 / 32);
+  try {
+    for (const char of bmpCharacters.match(new RegExp(atom, `g${flags}`)) || []) {
+      const code = char.charCodeAt(0);
+      charset[code >>> 5] |= 1 << (code & 31);
+    }
+  } catch {
+    charset = null;
+  }
+
+  if (regexAtomCharsets.size >= REGEX_ATOM_CHARSET_CACHE_SIZE) {
+    regexAtomCharsets.delete(regexAtomCharsets.keys().next().value);
+  }
+  regexAtomCharsets.set(key, charset);
+  return charset;
+}
+
+/**
+ * 检查请求中自定义正则规则的估算开销，预设中的规则 (由管理员配置) 不计入
+ * 开销按待清理文本的总长度 n 估算为各规则 n^次数 之和
+ * @param {Object} options - resolveCleaningOptions 返回的清理选项
+ * @param {number} characters - 待清理文本的总长度
+ * @returns {string|null} 超出上限时的错误信息
+ */
+function checkCleaningCost(options, characters) {
+  const rules = options.pipeline.filter(step => step.type === "regex" && step.custom);
+  const cost = rules.reduce((sum, step) => sum + Math.max(1, characters) ** step.degree, 0);
+  if (cost <= MAX_CLEANING_REGEX_COST) return null;
+  const degree = Math.max(...rules.map(step => step.degree));
+  return `自定义正则规则对 ${characters} 字符的文本估算开销过高 (最高 ${degree} 次方增长，上限 ${MAX_CLEANING_REGEX_COST})，` +
+    "请缩短文本、减少规则，或改用有界量词 (如 {1,10}) 和字符集互不相交的相邻量词";
+}
+
+/**
+ * 读取正则中指定位置的量词 (含表示非贪婪的 ?)
+ * @param {string} pattern - 正则源码
+ * @param {number} index - 位置
+ * @returns {{length: number, unbounded: boolean, repeats: boolean, optional: boolean}|null}
+ *   量词长度、是否无界 (含跨度较大的 {n,m})、是否可重复多次、是否可匹配零次；不是量词时为 null
+ */
+function readRegexQuantifier(pattern, index) {
+  let quantifier = null;
+  const char = pattern[index];
+  if (char === "*" || char === "+") {
+    quantifier = { length: 1, unbounded: true, repeats: true, optional: char === "*" };
+  } else if (char === "?") {
+    quantifier = { length: 1, unbounded: false, repeats: false, optional: true };
+  } else {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index, index + 24));
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : match[3] === "" ? Infinity : Number(match[3]);
+    quantifier = { length: match[0].length, unbounded: max - min > 10, repeats: max > 1, optional: min === 0 };
+  }
+  if (pattern[index + quantifier.length] === "?") quantifier.length++;
+  return quantifier;
+}
+
+// =================================================================================
+// 文本预览
+// =================================================================================
+
+// 清理前后文本的对齐参数: 不一致处在两侧向后查找连续相同的片段作为新的对齐点
+const PREVIEW_DIFF_ANCHOR = 6;      // 对齐点要求的连续相同字符数
+const PREVIEW_DIFF_LOOKAHEAD = 80;  // 清理后文本中查找对齐点的最大距离
+const PREVIEW_DIFF_WINDOW = 2000;   // 原文中查找对齐点的最大距离，超出时再全文查找一次
+const PREVIEW_DIFF_REFINE_CELLS = 40000; // 两个对齐点之间的片段不超过该规模 (长度乘积) 时逐字符求最长公共子序列
+
+// 时长估算的语速基准 (语速 1.0 时)
+const PREVIEW_CJK_CHARS_PER_SECOND = 4.5; // 中日韩文字每秒字数
+const PREVIEW_WORDS_PER_SECOND = 2.6;     // 其他语言每秒词数
+const PREVIEW_SENTENCE_PAUSE = 0.35;      // 句末标点的停顿 (秒)
+const PREVIEW_CLAUSE_PAUSE = 0.15;        // 句中标点的停顿 (秒)
+
+/**
+ * 生成语音合成预览
+ * 文本块与实际合成时完全相同；每个文本块附带在原始输入中的字符区间、
+ * 生成的 SSML 文档和估算时长，另附清理前后文本的差异。
+ * @param {string} input - 原始输入
+ * @param {string[]} textChunks - 文本块 (SSML 模式下为 SSML 文档)
+ * @param {Object} context - 合成上下文
+ * @param {Array} ttsArgs - [voice, rate, pitch, style, upstream]
+ * @param {Object} details - 预览信息
+ * @param {string} details.inputType - 输入类型
+ * @param {string|null} details.cleanedText - 清理后的文本，SSML 模式下为 null (按各块朗读文本拼接)
+ * @param {number} details.characters - 计费字符数
+ * @param {number} details.speed - 语速
+ * @param {number} details.subrequests - 实际合成所需的子请求数
+ * @returns {Object} 预览结果
+ */
+function buildSpeechPreview(input, textChunks, context, ttsArgs, details) {
+  const [voice, rate, pitch, style] = ttsArgs;
+  const speed = Number(details.speed) > 0 ? Number(details.speed) : 1;
+  const chunkTexts = context.inputType === "ssml"
+    ? textChunks.map(chunk => getSsmlPlainText(chunk).replace(/\s+/g, " ").trim())
+    : textChunks;
+  const cleanedText = details.cleanedText ?? chunkTexts.join(" ");
+
+  const diff = diffCleanedText(input, cleanedText);
+  const regions = getDiffRegions(diff);
+  let cursor = 0;
+  const chunks = textChunks.map((chunk, index) => {
+    const text = chunkTexts[index];
+    const found = cleanedText.indexOf(text, cursor);
+    const cleanedStart = found >= 0 ? found : cursor;
+    cursor = cleanedStart + text.length;
+    const ssml = getChunkSsml(chunk, voice, rate, pitch, style, context);
+    return {
+      index,
+      text,
+      start: mapCleanedOffset(regions, cleanedStart, false),
+      end: mapCleanedOffset(regions, cursor, true),
+      ssml,
+      estimated_duration: estimateSpeechDuration(text, ssml, speed)
+    };
+  });
+
+  return {
+    object: "audio.preview",
+    input_type: details.inputType,
+    voice,
+    cleaned_text: cleanedText,
+    diff,
+    chunks,
+    characters: details.characters,
+    estimated_duration: roundSeconds(chunks.reduce((sum, chunk) => sum + chunk.estimated_duration, 0)),
+    subrequests: details.subrequests,
+    subrequest_limit: context.subrequestLimit
+  };
+}
 
-    // 如果有缓存的 Token，使用过期的 Token 作为备用
-    if (tokenInfo.token) {
-      console.log("使用过期的缓存 Token 作为备用");
-      return tokenInfo.endpoint;
-    }
+/**
+ * 按字符对齐原文与清理后的文本
+ * 清理只会删除、替换或改写局部片段，因此逐字符前进，遇到不一致时查找最近的对齐点，
+ * 跳过的片段较短时再逐字符细分，否则整体记为删除和插入；复杂度近似线性，不保证是最短编辑序列。
+ * @param {string} original - 原文
+ * @param {string} cleaned - 清理后的文本
+ * @returns {Object[]} 差异片段 [{ type: "equal"|"delete"|"insert", text }]
+ */
+function diffCleanedText(original, cleaned) {
+  const ops = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = ops[ops.length - 1];
+    if (last?.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
 
-    throw error;
+  let i = 0;
+  let j = 0;
+  while (i < original.length || j < cleaned.length) {
+    if (original[i] === cleaned[j]) {
+      push("equal", original[i]);
+      i++;
+      j++;
+      continue;
+    }
+    const anchor = findDiffAnchor(original, cleaned, i, j);
+    diffSegment(original.slice(i, anchor.i), cleaned.slice(j, anchor.j), push);
+    i = anchor.i;
+    j = anchor.j;
   }
+  return ops;
 }
 
 /**
- * 生成 Microsoft Translator 签名
- * @param {string} urlStr - 要签名的 URL
- * @returns {Promise<string>} 签名字符串
+ * 按最长公共子序列细分两个对齐点之间的片段，片段过长时整体记为删除和插入
+ * @param {string} deleted - 原文片段
+ * @param {string} inserted - 清理后的片段
+ * @param {function(string, string): void} push - 追加差异片段
  */
-async function sign(urlStr) {
-  const url = urlStr.split("://")[1];
-  const encodedUrl = encodeURIComponent(url);
-  const uuidStr = crypto.randomUUID().replace(/-/g, "");
-  const formattedDate = (new Date()).toUTCString().replace(/GMT/, "").trim() + " GMT";
-
-  // 构建待签名字符串
-  const bytesToSign = `MSTranslatorAndroidApp${encodedUrl}${formattedDate}${uuidStr}`.toLowerCase();
+function diffSegment(deleted, inserted, push) {
+  const source = Array.from(deleted);
+  const target = Array.from(inserted);
+  if (source.length === 0 || target.length === 0 || source.length * target.length > PREVIEW_DIFF_REFINE_CELLS) {
+    push("delete", deleted);
+    push("insert", inserted);
+    return;
+  }
 
-  // 解码密钥并生成 HMAC 签名
-  const decode = await base64ToBytes("oik6PdDdMnOXemTbwvMn9de/h9lFnfBaCWbGMMZqqoSaQaqUOqjVGm5NqsmjcBI1x+sS9ugjB55HEJWRiFXYFw==");
-  const signData = await hmacSha256(decode, bytesToSign);
-  const signBase64 = await bytesToBase64(signData);
+  // lengths[x][y]: source[x..] 与 target[y..] 的最长公共子序列长度
+  const lengths = Array.from({ length: source.length + 1 }, () => new Uint16Array(target.length + 1));
+  for (let x = source.length - 1; x >= 0; x--) {
+    for (let y = target.length - 1; y >= 0; y--) {
+      lengths[x][y] = source[x] === target[y]
+        ? lengths[x + 1][y + 1] + 1
+        : Math.max(lengths[x + 1][y], lengths[x][y + 1]);
+    }
+  }
 
-  return `MSTranslatorAndroidApp::${signBase64}::${formattedDate}::${uuidStr}`;
+  let x = 0;
+  let y = 0;
+  while (x < source.length || y < target.length) {
+    if (x < source.length && y < target.length && source[x] === target[y]) {
+      push("equal", source[x++]);
+      y++;
+    } else if (y >= target.length || (x < source.length && lengths[x + 1][y] >= lengths[x][y + 1])) {
+      push("delete", source[x++]);
+    } else {
+      push("insert", target[y++]);
+    }
+  }
 }
 
 /**
- * HMAC-SHA256 签名
- * @param {Uint8Array} key - 密钥
- * @param {string} data - 待签名数据
- * @returns {Promise<Uint8Array>} 签名结果
+ * 查找下一个对齐点，使两侧跳过的字符数之和最小
+ * @param {string} original - 原文
+ * @param {string} cleaned - 清理后的文本
+ * @param {number} i - 原文当前位置
+ * @param {number} j - 清理后文本当前位置
+ * @returns {{i: number, j: number}} 对齐点，找不到时为两侧末尾
  */
-async function hmacSha256(key, data) {
-  const cryptoKey = await crypto.subtle.importKey(
-    "raw",
-    key,
-    { name: "HMAC", hash: { name: "SHA-256" } },
-    false,
-    ["sign"]
-  );
-  const signature = await crypto.subtle.sign("HMAC", cryptoKey, new TextEncoder().encode(data));
-  return new Uint8Array(signature);
+function findDiffAnchor(original, cleaned, i, j) {
+  let best = { i: original.length, j: cleaned.length, cost: Infinity };
+  for (let b = 0; b <= PREVIEW_DIFF_LOOKAHEAD && j + b < cleaned.length && b < best.cost; b++) {
+    const probe = cleaned.slice(j + b, j + b + PREVIEW_DIFF_ANCHOR);
+    const a = original.slice(i, i + PREVIEW_DIFF_WINDOW + probe.length).indexOf(probe);
+    if (a >= 0 && a + b < best.cost) best = { i: i + a, j: j + b, cost: a + b };
+  }
+
+  // 删除了大段内容 (如推理过程、代码块) 时对齐点可能超出查找窗口
+  if (best.cost === Infinity && j < cleaned.length) {
+    const a = original.indexOf(cleaned.slice(j, j + PREVIEW_DIFF_ANCHOR), i);
+    if (a >= 0) best = { i: a, j, cost: a - i };
+  }
+  return best;
 }
 
 /**
- * Base64 字符串转字节数组
- * @param {string} base64 - Base64 字符串
- * @returns {Promise<Uint8Array>} 字节数组
+ * 将差异片段合并为区间表: 相同片段一一对应，相邻的删除与插入合并为一个替换区间
+ * @param {Object[]} diff - 差异片段
+ * @returns {Object[]} 区间 [{ equal, originalStart, originalEnd, cleanedStart, cleanedEnd }]
  */
-async function base64ToBytes(base64) {
-  const binaryString = atob(base64);
-  const bytes = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
+function getDiffRegions(diff) {
+  const regions = [];
+  let original = 0;
+  let cleaned = 0;
+  for (const op of diff) {
+    const originalLength = op.type === "insert" ? 0 : op.text.length;
+    const cleanedLength = op.type === "delete" ? 0 : op.text.length;
+    const last = regions[regions.length - 1];
+    if (op.type !== "equal" && last && !last.equal) {
+      last.originalEnd += originalLength;
+      last.cleanedEnd += cleanedLength;
+    } else {
+      regions.push({
+        equal: op.type === "equal",
+        originalStart: original,
+        originalEnd: original + originalLength,
+        cleanedStart: cleaned,
+        cleanedEnd: cleaned + cleanedLength
+      });
+    }
+    original += originalLength;
+    cleaned += cleanedLength;
   }
-  return bytes;
+  return regions;
 }
 
 /**
- * 字节数组转 Base64 字符串
- * @param {Uint8Array} bytes - 字节数组
- * @returns {Promise<string>} Base64 字符串
+ * 将清理后文本中的位置映射回原文
+ * 位置落在替换区间内时，起点取区间起点、终点取区间终点，保证文本块覆盖完整的原文片段。
+ * @param {Object[]} regions - 区间表
+ * @param {number} position - 清理后文本中的位置
+ * @param {boolean} isEnd - 是否为区间终点 (不含)
+ * @returns {number} 原文中的位置
  */
-async function bytesToBase64(bytes) {
-  return btoa(String.fromCharCode.apply(null, bytes));
+function mapCleanedOffset(regions, position, isEnd) {
+  const region = regions.find(r => isEnd
+    ? r.cleanedStart < position && position <= r.cleanedEnd
+    : r.cleanedStart <= position && position < r.cleanedEnd);
+  if (!region) return isEnd ? regions[regions.length - 1]?.originalEnd ?? 0 : 0;
+  if (region.equal) return region.originalStart + position - region.cleanedStart;
+  return isEnd ? region.originalEnd : region.originalStart;
 }
 
+/**
+ * 估算文本块的朗读时长
+ * 中日韩文字按字数、其他语言按词数计，标点与 <break> 计入停顿，按请求语速缩放。
+ * @param {string} text - 朗读文本
+ * @param {string} ssml - 文本块的 SSML 文档
+ * @param {number} speed - 语速
+ * @returns {number} 时长 (秒)
+ */
+function estimateSpeechDuration(text, ssml, speed) {
+  const plain = text.replace(/<break\b[^>]*>/gi, " ");
+  const cjkPattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+  const cjk = plain.match(cjkPattern)?.length || 0;
+  const words = plain.replace(cjkPattern, " ").match(/[\p{L}\p{N}]+/gu)?.length || 0;
+  const sentences = plain.match(/[.?!。？！]+/g)?.length || 0;
+  const clauses = plain.match(/[,;:，；：、]+/g)?.length || 0;
+  const pauses = [...ssml.matchAll(/<break\b[^>]*\btime="(\d+(?:\.\d+)?)(ms|s)"/gi)]
+    .reduce((sum, match) => sum + Number(match[1]) / (match[2].toLowerCase() === "ms" ? 1000 : 1), 0);
+
+  const speaking = cjk / PREVIEW_CJK_CHARS_PER_SECOND + words / PREVIEW_WORDS_PER_SECOND;
+  return roundSeconds((speaking + sentences * PREVIEW_SENTENCE_PAUSE + clauses * PREVIEW_CLAUSE_PAUSE) / speed + pauses);
+}
 
 // =================================================================================
 // 通用工具函数
@@ -469,10 +5931,12 @@ async function bytesToBase64(bytes) {
  * @param {string} voiceName - 语音名称
  * @param {string} rate - 语速百分比
  * @param {string} pitch - 音调百分比
- * @param {string} style - 语音风格
+ * @param {string|null} style - 语音风格，为空时省略 express-as
+ * @param {Object[]} [lexicon] - 发音词典，匹配的词语替换为 <sub>/<phoneme>
+ * @param {string|null} [lang] - 文本的语言区域，与语音的语言不同时以 <lang> 标注
  * @returns {string} SSML 文档
  */
-function getSsml(text, voiceName, rate, pitch, style) {
+function getSsml(text, voiceName, rate, pitch, style, lexicon = [], lang = null) {
   // 先保护 break 标签
   const breakTagRegex = /<break\s+time="[^"]*"\s*\/?>|<break\s*\/?>|<break\s+time='[^']*'\s*\/?>/gi;
   const breakTags = [];
@@ -482,6 +5946,14 @@ function getSsml(text, voiceName, rate, pitch, style) {
     return placeholder;
   });
 
+  // 发音词典替换生成的标签同样以占位符保护
+  processedText = splitByLexicon(processedText, lexicon).map(piece => {
+    if (typeof piece === "string") return piece;
+    const placeholder = `__BREAK_TAG_${breakTags.length}__`;
+    breakTags.push(serializeSsmlNode(createLexiconNode(piece)));
+    return placeholder;
+  }).join("");
+
   // 转义其他 XML 特殊字符
   const sanitizedText = processedText
     .replace(/&/g, '&amp;')
@@ -494,15 +5966,76 @@ function getSsml(text, voiceName, rate, pitch, style) {
     finalText = finalText.replace(`__BREAK_TAG_${index}__`, tag);
   });
 
-  return `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="en-US">
+  // xml:lang 与语音的语言保持一致；多语言语音朗读其他语言时由 <lang> 指定
+  const voiceLocale = getVoiceLocale(voiceName) || "en-US";
+  const spokenText = lang && lang !== voiceLocale ? `<lang xml:lang="${lang}">${finalText}</lang>` : finalText;
+  const prosody = `<prosody rate="${rate}%" pitch="${pitch}%">${spokenText}</prosody>`;
+  const content = style
+    ? `<mstts:express-as style="${style}">
+        ${prosody}
+      </mstts:express-as>`
+    : prosody;
+
+  return `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="${voiceLocale}">
     <voice name="${voiceName}">
-      <mstts:express-as style="${style}">
-        <prosody rate="${rate}%" pitch="${pitch}%">${finalText}</prosody>
-      </mstts:express-as>
+      ${content}
     </voice>
   </speak>`;
 }
 
+/**
+ * 按句子分隔符切分文本，标点保留在前一句末尾
+ * @param {string} text - 输入文本
+ * @returns {string[]} 句子数组
+ */
+function splitSentences(text) {
+  const parts = text.split(/([.?!,;:\n。？！，；：\r]+)/g);
+  const sentences = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const sentence = parts[i] + (parts[i + 1] || "");
+    if (sentence) sentences.push(sentence);
+  }
+  return sentences;
+}
+
+/**
+ * XML 转义
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本 (可用于文本节点和属性值)
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 解码 XML 字符实体
+ * @param {string} text - 含实体的文本
+ * @returns {string|null} 解码后的文本，存在无效实体时为 null
+ */
+function decodeXmlEntities(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  let valid = true;
+  const decoded = text.replace(/&([^;\s&]*);?/g, (match, entity) => {
+    if (!match.endsWith(";")) {
+      valid = false;
+      return match;
+    }
+    if (named[entity]) return named[entity];
+    const code = /^#x[0-9a-f]+$/i.test(entity) ? parseInt(entity.slice(2), 16)
+      : /^#\d+$/.test(entity) ? parseInt(entity.slice(1), 10) : NaN;
+    if (!Number.isInteger(code) || code > 0x10FFFF) {
+      valid = false;
+      return match;
+    }
+    return String.fromCodePoint(code);
+  });
+  return valid ? decoded : null;
+}
+
 /**
  * 智能文本分块 - 按句子边界分割文本
  * @param {string} text - 输入文本
@@ -547,70 +6080,404 @@ function smartChunkText(text, maxChunkLength) {
 }
 
 /**
- * 多阶段文本清理函数
+ * 合并清理选项 (默认值 < 预设 < 请求) 并编译清理规则
+ * 预设与请求中的 rules 按先后顺序拼接；请求中的正则规则还需按文本长度经 checkCleaningCost 检查开销。
+ * @param {Object} [options] - 请求中的 cleaning_options
+ * @returns {Promise<Object|{error: string}>} 清理选项 (pipeline 为编译后的执行管线)，或错误信息
+ */
+async function resolveCleaningOptions(options) {
+  const requested = options ?? {};
+  if (typeof requested !== "object" || Array.isArray(requested)) {
+    return { error: "cleaning_options 必须是对象" };
+  }
+
+  let preset = {};
+  if (requested.preset !== undefined && requested.preset !== null) {
+    const presets = await loadCleaningPresets();
+    if (!Object.hasOwn(presets, requested.preset)) {
+      return { error: `未知的清理预设: ${requested.preset}，可选值: ${Object.keys(presets).join(", ")}` };
+    }
+    preset = presets[requested.preset];
+  }
+
+  const { description, rules: presetRules = [], ...presetOptions } = preset;
+  const { pipeline, rules = [], ...requestOptions } = requested;
+  if (!Array.isArray(presetRules) || !Array.isArray(rules)) {
+    return { error: "cleaning_options.rules 必须是数组" };
+  }
+  const compiled = compileCleaningRules([...presetRules, ...rules], presetRules.length);
+  if (compiled.error) {
+    return compiled;
+  }
+
+  return {
+    remove_markdown: true,      // 移除 Markdown
+    remove_emoji: true,         // 移除 Emoji
+    remove_urls: true,          // 移除 URL
+    remove_line_breaks: true,   // 移除换行符
+    remove_citation_numbers: true, // 移除引用数字
+    normalize_numbers: false,   // 将数字、日期、时间、单位、货币和电话号码转换为读法
+    code_blocks: "summary",     // Markdown 输入的代码块: summary 朗读提示，skip 跳过
+    custom_keywords: "",        // 自定义关键词
+    ...presetOptions,
+    ...requestOptions,
+    pipeline: compiled          // 有序执行的规则与内置阶段
+  };
+}
+
+/**
+ * 按清理管线依次执行正则替换、字面替换和内置清理阶段
+ * 内置阶段由 stage 规则的 enabled 或对应的清理选项开关决定是否执行。
  * @param {string} text - 输入文本
  * @param {Object} options - 清理选项
+ * @param {string|null} [locale] - 目标语音的语言 (如 zh-CN)，用于数字规范化；为 null 时跳过规范化
  * @returns {string} 清理后的文本
  */
-function cleanText(text, options) {
+function cleanText(text, options, locale = "zh-CN") {
   let cleanedText = text;
+  for (const step of options.pipeline || DEFAULT_CLEANING_PIPELINE) {
+    if (step.type === "regex") {
+      cleanedText = cleanedText.replace(step.regex, step.replacement);
+    } else if (step.type === "replace") {
+      cleanedText = cleanedText.split(step.find).join(step.replacement);
+    } else if (step.enabled ?? options[step.name]) {
+      cleanedText = CLEANING_STAGES[step.name](cleanedText, options, locale);
+    }
+  }
+  return cleanedText.trim();
+}
 
-  // 阶段 1: 结构化内容移除
-  if (options.remove_urls) {
-    cleanedText = cleanedText.replace(/(https?:\/\/[^\s]+)/g, '');
+/**
+ * 生成 16 位单声道 PCM 的 WAV (RIFF) 文件头
+ * @param {number|null} dataLength - PCM 数据字节数，流式输出未知时传 null
+ * @param {number} sampleRate - 采样率
+ * @returns {Uint8Array} 44 字节文件头
+ */
+function createWavHeader(dataLength, sampleRate) {
+  const header = new DataView(new ArrayBuffer(44));
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) header.setUint8(offset + i, str.charCodeAt(i));
+  };
+  // 长度未知时按惯例写入最大值，播放器会读到流结束为止
+  const riffLength = dataLength === null ? 0xFFFFFFFF : 36 + dataLength;
+  const chunkLength = dataLength === null ? 0xFFFFFFFF : dataLength;
+
+  writeString(0, "RIFF");
+  header.setUint32(4, riffLength, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  header.setUint32(16, 16, true);             // fmt 块长度
+  header.setUint16(20, 1, true);              // PCM
+  header.setUint16(22, 1, true);              // 单声道
+  header.setUint32(24, sampleRate, true);     // 采样率
+  header.setUint32(28, sampleRate * 2, true); // 字节率
+  header.setUint16(32, 2, true);              // 块对齐
+  header.setUint16(34, 16, true);             // 位深
+  writeString(36, "data");
+  header.setUint32(40, chunkLength, true);
+
+  return new Uint8Array(header.buffer);
+}
+
+/**
+ * 生成不压缩 (stored) 的 ZIP 压缩包，文件名按 UTF-8 编码
+ * 音频本身已经过压缩，再做 deflate 收益很小。
+ * @param {Object[]} files - 文件列表 [{ name, data: Uint8Array }]
+ * @returns {Uint8Array} ZIP 数据
+ */
+function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);       // 本地文件头签名
+    local.setUint16(4, 20, true);               // 解压所需版本
+    local.setUint16(6, 0x0800, true);           // 文件名使用 UTF-8
+    local.setUint16(8, 0, true);                // 不压缩
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);     // 中央目录签名
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, file.data.length, true);
+    central.setUint32(24, file.data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);        // 本地文件头偏移
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + file.data.length;
   }
 
-  if (options.remove_markdown) {
-    // 移除图片链接
-    cleanedText = cleanedText.replace(/!\[.*?\]\(.*?\)/g, '');
-    // 移除普通链接，保留链接文本
-    cleanedText = cleanedText.replace(/\[(.*?)\]\(.*?\)/g, '$1');
-    // 移除粗体和斜体
-    cleanedText = cleanedText.replace(/(\*\*|__)(.*?)\1/g, '$2');
-    cleanedText = cleanedText.replace(/(\*|_)(.*?)\1/g, '$2');
-    // 移除代码块
-    cleanedText = cleanedText.replace(/`{1,3}(.*?)`{1,3}/g, '$1');
-    // 移除标题标记
-    cleanedText = cleanedText.replace(/#{1,6}\s/g, '');
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);           // 中央目录结束签名
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
   }
+  return archive;
+}
 
-  // 阶段 2: 自定义内容移除
-  if (options.custom_keywords) {
-    const keywords = options.custom_keywords
-      .split(',')
-      .map(k => k.trim())
-      .filter(k => k);
+// CRC-32 查找表
+let crc32Table = null;
 
-    if (keywords.length > 0) {
-      // 转义正则表达式特殊字符
-      const escapedKeywords = keywords.map(k =>
-        k.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')
-      );
-      const regex = new RegExp(escapedKeywords.join('|'), 'g');
-      cleanedText = cleanedText.replace(regex, '');
+/**
+ * 计算 CRC-32 校验值
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} 无符号 32 位校验值
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
     }
   }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
 
-  // 阶段 3: 字符移除
-  if (options.remove_emoji) {
-    // 移除 Emoji 表情符号
-    cleanedText = cleanedText.replace(/\p{Emoji_Presentation}/gu, '');
-  }
+/**
+ * 创建内存版队列，接口与 Queue 绑定的 send 一致
+ * 消息在当前 isolate 内投递给消费者，返回的 Promise 在消费完成后结束 (支持 delaySeconds)。
+ * retry() 重新投递的次数以 JOB_MAX_ATTEMPTS 为上限，超过后丢弃消息 (对应 Queue 的 max_retries)。
+ * @param {function(Object[]): Promise<void>} consumer - 消费者
+ * @returns {Object} 具有 send 方法的队列
+ */
+function createMemoryQueue(consumer) {
+  return {
+    async send(body, options = {}) {
+      const message = {
+        body: structuredClone(body),
+        attempts: 1,
+        ack() { },
+        retry() {
+          if (message.attempts >= JOB_MAX_ATTEMPTS) {
+            console.error(`队列消息已重试 ${message.attempts} 次，放弃投递:`, message.body);
+            return;
+          }
+          message.attempts++;
+          setTimeout(() => consumer([message]), RETRY_BASE_DELAY);
+        }
+      };
+      // 延迟投递的消息不阻塞调用方
+      if (options.delaySeconds) {
+        setTimeout(() => consumer([message]), options.delaySeconds * 1000);
+        return;
+      }
+      await consumer([message]);
+    }
+  };
+}
 
-  // 阶段 4: 上下文感知格式清理
-  if (options.remove_citation_numbers) {
-    // 移除引用数字（如文末的 [1], [2] 等）
-    cleanedText = cleanedText.replace(/\s\d{1,2}(?=[.。，,;；:：]|$)/g, '');
-  }
+/**
+ * 创建内存版任务状态存储，接口与 createDurableJobStore 一致 (未绑定 TTS_JOB_STORE 时使用)
+ * 用定时器模拟 alarm: 未结束的任务在租约到期或 JOB_STALL_TIMEOUT 秒无进展时重新投递，已结束的任务到期后删除
+ * @returns {Object} 任务状态存储
+ */
+function createMemoryJobStore() {
+  const entries = new Map();
+  const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+  const save = job => {
+    const now = nowSeconds();
+    job.updated_at = now;
+    clearTimeout(entries.get(job.id)?.timer);
+    const wakeAt = isJobActive(job) ? job.lease_until || now + JOB_STALL_TIMEOUT : job.expires_at;
+    const timer = setTimeout(() => alarm(job.id), (wakeAt - now) * 1000);
+    timer.unref?.(); // 本地运行时不因定时器阻止进程退出
+    entries.set(job.id, { job, timer });
+    return structuredClone(job);
+  };
 
-  // 阶段 5: 通用格式清理
-  if (options.remove_line_breaks) {
-    // 移除所有多余的空白字符
-    cleanedText = cleanedText.replace(/\s+/g, ' ');
-  }
+  const alarm = id => {
+    const job = entries.get(id)?.job;
+    if (!job) return;
+    if (nowSeconds() >= job.expires_at) {
+      entries.delete(id);
+    } else if (isJobActive(job)) {
+      job.sequence++;
+      job.lease_until = 0;
+      save(job);
+      enqueueJob(id, job.sequence);
+    }
+  };
 
-  // 阶段 6: 最终清理
-  return cleanedText.trim();
+  // 未结束且序号一致 (未指定时不检查) 的任务，否则为 null
+  const active = (id, sequence) => {
+    const job = entries.get(id)?.job;
+    return job && isJobActive(job) && (sequence === undefined || job.sequence === sequence) ? job : null;
+  };
+
+  return {
+    async create(job) {
+      return save(structuredClone(job));
+    },
+    async get(id) {
+      const job = entries.get(id)?.job;
+      return job ? structuredClone(job) : null;
+    },
+    async claim(id, sequence) {
+      const job = active(id, sequence);
+      if (!job || job.sequence !== sequence || job.lease_until > nowSeconds()) return null;
+      job.sequence++;
+      job.status = "processing";
+      job.lease_until = nowSeconds() + JOB_STALL_TIMEOUT;
+      return save(job);
+    },
+    async commit(id, sequence, patch) {
+      const job = active(id, sequence);
+      return job && save(Object.assign(job, structuredClone(patch), { lease_until: 0 }));
+    },
+    async cancel(id) {
+      const job = active(id);
+      if (!job) return this.get(id);
+      job.status = "cancelled";
+      job.lease_until = 0;
+      return save(job);
+    },
+    async updateWebhook(id, webhook) {
+      const job = entries.get(id)?.job;
+      if (!job) return null;
+      job.webhook = structuredClone(webhook);
+      return structuredClone(job);
+    }
+  };
+}
+
+/**
+ * 创建内存版 KV 存储，接口与 Workers KV 一致 (get/put/delete/list)
+ * 未绑定 TTS_KV 时自动作为回退，本地离线调试无需任何绑定即可走完整的持久化逻辑
+ * @returns {Object} KV 兼容对象
+ */
+function createMemoryKV() {
+  const entries = new Map();
+  const isExpired = entry => entry.expiration && entry.expiration <= Date.now() / 1000;
+
+  return {
+    async get(key, options) {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      const type = typeof options === "string" ? options : options?.type || "text";
+      const { value } = entry;
+      if (type === "arrayBuffer") {
+        return typeof value === "string" ? new TextEncoder().encode(value).buffer : value.slice(0);
+      }
+      const text = typeof value === "string" ? value : new TextDecoder().decode(value);
+      return type === "json" ? JSON.parse(text) : text;
+    },
+    async put(key, value, options = {}) {
+      const expiration = options.expiration ||
+        (options.expirationTtl ? Date.now() / 1000 + options.expirationTtl : null);
+      let stored = value;
+      if (typeof value !== "string") {
+        // 复制二进制数据，避免调用方后续修改影响已存储的值
+        const bytes = ArrayBuffer.isView(value) ? value : new Uint8Array(value);
+        stored = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      }
+      entries.set(key, { value: stored, expiration, metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = "", limit = 1000, cursor } = {}) {
+      const names = [...entries.keys()]
+        .filter(name => name.startsWith(prefix) && !isExpired(entries.get(name)))
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = names.slice(start, start + limit);
+      const complete = start + limit >= names.length;
+      return {
+        keys: page.map(name => ({
+          name,
+          expiration: entries.get(name).expiration || undefined,
+          metadata: entries.get(name).metadata ?? undefined
+        })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(start + limit)
+      };
+    }
+  };
+}
+
+/**
+ * 从候选项中找出与输入最接近的若干项 (用于"您是否想使用"提示)
+ * 优先返回包含输入的候选项，其次按编辑距离排序
+ * @param {string} input - 用户输入
+ * @param {string[]} candidates - 候选项
+ * @param {number} [limit=3] - 最多返回数量
+ * @returns {string[]} 建议列表
+ */
+function suggestClosest(input, candidates, limit = 3) {
+  const needle = String(input).toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+  return candidates
+    .map(candidate => {
+      const lower = candidate.toLowerCase();
+      const distance = lower.includes(needle) ? 0 : levenshtein(needle, lower);
+      return { candidate, distance };
+    })
+    .filter(item => item.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(item => item.candidate);
+}
+
+/**
+ * 计算两个字符串的编辑距离
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {number} 编辑距离
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
 }
 
 /**
@@ -619,20 +6486,36 @@ function cleanText(text, options) {
  * @param {number} status - HTTP 状态码
  * @param {string} code - 错误代码
  * @param {string} type - 错误类型
+ * @param {Object} [extraHeaders] - 额外响应头
  * @returns {Response} 错误响应对象
  */
-function errorResponse(message, status, code, type = "api_error") {
+function errorResponse(message, status, code, type = "api_error", extraHeaders = {}) {
   return new Response(
     JSON.stringify({
       error: { message, type, param: null, code }
     }),
     {
       status,
-      headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
+      headers: { "Content-Type": "application/json", ...makeCORSHeaders(), ...extraHeaders }
     }
   );
 }
 
+/**
+ * 为已有响应追加响应头 (适用于流式响应)
+ * @param {Response} response - 原响应
+ * @param {Object} headers - 要追加的响应头
+ * @returns {Response} 新响应
+ */
+function withHeaders(response, headers) {
+  if (!headers || Object.keys(headers).length === 0) return response;
+  const merged = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    merged.headers.set(name, value);
+  }
+  return merged;
+}
+
 /**
  * 生成 CORS 响应头
  * @param {string} extraHeaders - 额外的允许头部
@@ -924,6 +6807,12 @@ function getHtmlContent() {
       color: white;
     }
 
+    .btn-preview {
+      grid-column: 1 / -1;
+      background: linear-gradient(135deg, var(--primary-color), #4338ca);
+      color: white;
+    }
+
     button:hover {
       transform: translateY(-2px);
       box-shadow: 0 8px 16px rgba(0, 0, 0, 0.15);
@@ -1002,6 +6891,70 @@ function getHtmlContent() {
       transform: scale(0.97);
     }
 
+    .preview-section {
+      margin-top: 1.5rem;
+    }
+
+    .preview-summary {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: space-between;
+      gap: 0.5rem;
+      margin-bottom: 0.75rem;
+      font-size: 0.9rem;
+      color: var(--gray);
+    }
+
+    .preview-diff {
+      max-height: 320px;
+      overflow-y: auto;
+      padding: 1rem;
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+      background-color: white;
+      line-height: 1.8;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+
+    .diff-delete {
+      background-color: #fee2e2;
+      color: var(--error-color);
+      text-decoration: line-through;
+    }
+
+    .diff-insert {
+      background-color: #dcfce7;
+      color: #166534;
+    }
+
+    .preview-chunk {
+      margin: 0.75rem 0 0;
+      padding: 0.75rem 1rem;
+    }
+
+    .preview-chunk summary {
+      cursor: pointer;
+      font-size: 0.9rem;
+    }
+
+    .preview-chunk p {
+      margin: 0.75rem 0 0;
+      font-size: 0.9rem;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+
+    .preview-chunk pre {
+      margin: 0.75rem 0 0;
+      padding: 0.75rem;
+      border-radius: 6px;
+      background-color: var(--light-gray);
+      font-size: 0.8rem;
+      white-space: pre-wrap;
+      word-break: break-all;
+    }
+
     details {
       border: 1px solid var(--border-color);
       border-radius: 8px;
@@ -1173,7 +7126,7 @@ function getHtmlContent() {
           </div>
         </div>
         <textarea id="inputText" ref="textareaRef" v-model="form.inputText" @input="saveForm"
-          placeholder="请在这里输入文本，目前尽可能不要超过1点5万字每次，不然会报错。音色映射可以自行修改workers的配置"></textarea>
+          placeholder="请在这里输入文本，单次尽量不要超过1点5万字，更长的文本请使用异步任务接口 /v1/audio/jobs。音色映射可以自行修改workers的配置"></textarea>
         <div class="textarea-footer">
           <span v-cloak>{{ charCount }} 字符</span>
           <button class="clear-btn" @click="clearText">清除</button>
@@ -1184,6 +7137,12 @@ function getHtmlContent() {
         <div class="form-group">
           <label for="voice">选择音色 (Model)</label>
           <select id="voice" v-model="form.voice" @change="saveForm">
+            <template v-if="voiceGroups.length">
+              <optgroup v-for="group in voiceGroups" :key="group.locale" :label="group.locale">
+                <option v-for="v in group.voices" :key="v.name" :value="v.name">{{ voiceLabel(v) }}</option>
+              </optgroup>
+            </template>
+            <template v-else>
             <option value="zh-CN-XiaoxiaoNeural">中文女声 (晓晓)</option>
             <option value="zh-CN-YunxiNeural">中文男声 (云希)</option>
             <option value="zh-CN-YunyangNeural">中文男声 (云扬)</option>
@@ -1227,6 +7186,7 @@ function getHtmlContent() {
             <option value="en-US-SaraNeural">英文女声 (Sara)</option>
             <option value="en-US-SteffanNeural">英文男声 (Steffan)</option>
             <option value="en-US-TonyNeural">英文男声 (Tony)</option>
+            </template>
           </select>
         </div>
         <div class="form-group">
@@ -1268,6 +7228,10 @@ function getHtmlContent() {
             <input type="checkbox" v-model="form.cleaning.removeCitation" @change="saveForm" />
             移除引用标记数字
           </label>
+          <label class="checkbox-item">
+            <input type="checkbox" v-model="form.cleaning.normalizeNumbers" @change="saveForm" />
+            数字/日期/单位转读法
+          </label>
         </div>
         <div class="form-group" style="margin-top: 1rem; margin-bottom: 0">
           <label for="customKeywords">自定义移除关键词 (逗号分隔)</label>
@@ -1278,13 +7242,17 @@ function getHtmlContent() {
 
       <div class="button-group">
         <button class="btn-generate" v-cloak :disabled="isLoading" @click="generateSpeech(false)">
-          <span v-if="isLoading && !isStreaming" class="loading"></span>
-          {{ isLoading && !isStreaming ? '生成中...' : '生成语音 (标准)' }}
+          <span v-if="isLoading && !isStreaming && !isPreviewing" class="loading"></span>
+          {{ isLoading && !isStreaming && !isPreviewing ? '生成中...' : '生成语音 (标准)' }}
         </button>
         <button class="btn-stream" v-cloak :disabled="isLoading" @click="generateSpeech(true)">
           <span v-if="isLoading && isStreaming" class="loading"></span>
           {{ isLoading && isStreaming ? '流式播放中...' : '生成语音 (流式)' }}
         </button>
+        <button class="btn-preview" v-cloak :disabled="isLoading" @click="previewText">
+          <span v-if="isPreviewing" class="loading"></span>
+          {{ isPreviewing ? '预览中...' : '预览清理与分块 (不合成)' }}
+        </button>
       </div>
 
       <div class="status" :class="['status-' + status.type, { show: status.show }]" v-cloak>
@@ -1300,6 +7268,21 @@ function getHtmlContent() {
           <span>📥</span> 下载音频文件
         </button>
       </div>
+
+      <!-- 清理与分块预览: 红色删除线为被清理掉的原文，绿色为清理时新增或改写的文本 -->
+      <div v-if="preview" class="preview-section" v-cloak>
+        <div class="preview-summary">
+          <span>{{ preview.chunks.length }} 个文本块 · {{ preview.characters }} 字符 · 预计约 {{ preview.estimated_duration }} 秒</span>
+          <span>子请求 {{ preview.subrequests }} / {{ preview.subrequest_limit }}</span>
+        </div>
+        <div class="preview-diff"><span v-for="(op, i) in preview.diff" :key="i" :class="'diff-' + op.type">{{ op.text }}</span></div>
+        <details v-for="chunk in preview.chunks" :key="chunk.index" class="preview-chunk">
+          <summary>#{{ chunk.index + 1 }} · 原文 {{ chunk.start }}-{{ chunk.end }} · {{ chunk.text.length }} 字符 · 约 {{ chunk.estimated_duration }} 秒</summary>
+          <p><strong>原文:</strong> {{ previewInput.slice(chunk.start, chunk.end) }}</p>
+          <p><strong>朗读:</strong> {{ chunk.text }}</p>
+          <pre>{{ chunk.ssml }}</pre>
+        </details>
+      </div>
     </main>
   </div>
 
@@ -1315,16 +7298,20 @@ function getHtmlContent() {
           title: 'TTS 服务终极测试页面 (v3.0 - Vue3重构版)',
           isLoading: false,
           isStreaming: false,
+          isPreviewing: false,
+          preview: null, // /v1/audio/preview 的结果
+          previewInput: '', // 预览时提交的原文，用于按偏移量显示各块原文
           audioSrc: '',
           downloadUrl: '', // 添加下载链接
           showDownloadBtn: false, // 控制下载按钮显示
+          voices: [], // 从 /v1/voices 加载的语音目录，加载失败时使用内置选项
           pauseTime: 1.0, // 停顿时间
           config: {
             baseUrl: 'https://你的域名',
             apiKey: '你的密钥'
           },
           form: {
-            inputText: '请在这里输入文本，目前尽可能不要超过1点5万字每次，不然会报错。音色映射可以自行修改workers的配置',
+            inputText: '请在这里输入文本，单次尽量不要超过1点5万字，更长的文本请使用异步任务接口 /v1/audio/jobs。音色映射可以自行修改workers的配置',
             voice: 'zh-CN-XiaoxiaoNeural',
             speed: 1.0,
             pitch: 1.0,
@@ -1334,6 +7321,7 @@ function getHtmlContent() {
               removeUrls: true,
               removeLineBreaks: true,
               removeCitation: true,
+              normalizeNumbers: false,
               customKeywords: ''
             }
           },
@@ -1353,6 +7341,17 @@ function getHtmlContent() {
         },
         pitchDisplay() {
           return this.form.pitch.toFixed(2);
+        },
+        voiceGroups() {
+          // 按语言分组，中文和英文优先
+          const groups = {};
+          this.voices.forEach(v => {
+            (groups[v.locale] = groups[v.locale] || []).push(v);
+          });
+          const rank = locale => (locale.startsWith('zh-') ? 0 : locale.startsWith('en-') ? 1 : 2);
+          return Object.keys(groups)
+            .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+            .map(locale => ({ locale, voices: groups[locale] }));
         }
       },
       methods: {
@@ -1415,6 +7414,24 @@ function getHtmlContent() {
             type
           };
         },
+        async loadVoices() {
+          const baseUrl = this.config.baseUrl.trim();
+          if (!baseUrl) return;
+          try {
+            const response = await fetch(baseUrl + '/v1/voices', {
+              headers: { 'Authorization': 'Bearer ' + this.config.apiKey.trim() }
+            });
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            const result = await response.json();
+            this.voices = result.data || [];
+          } catch (e) {
+            console.warn('Failed to load voices, using built-in list:', e);
+          }
+        },
+        voiceLabel(v) {
+          const gender = v.gender === 'Female' ? '女声' : v.gender === 'Male' ? '男声' : v.gender;
+          return v.local_name + ' (' + gender + ') - ' + v.name;
+        },
         hideStatus() {
           this.status.show = false;
         },
@@ -1430,6 +7447,7 @@ function getHtmlContent() {
               remove_urls: this.form.cleaning.removeUrls,
               remove_line_breaks: this.form.cleaning.removeLineBreaks,
               remove_citation_numbers: this.form.cleaning.removeCitation,
+              normalize_numbers: this.form.cleaning.normalizeNumbers,
               custom_keywords: this.form.cleaning.customKeywords,
             },
           };
@@ -1471,6 +7489,48 @@ function getHtmlContent() {
             this.isStreaming = false;
           }
         },
+        async previewText() {
+          const baseUrl = this.config.baseUrl.trim();
+          const apiKey = this.config.apiKey.trim();
+          const requestBody = this.getRequestBody();
+
+          if (!baseUrl || !apiKey || !requestBody.input) {
+            this.updateStatus('请填写 API 配置和输入文本', 'error');
+            return;
+          }
+
+          this.isLoading = true;
+          this.isPreviewing = true;
+          this.updateStatus('正在生成预览...', 'info');
+
+          try {
+            const response = await fetch(baseUrl + '/v1/audio/preview', {
+              method: 'POST',
+              headers: {
+                'Authorization': 'Bearer ' + apiKey,
+                'Content-Type': 'application/json',
+              },
+              body: JSON.stringify(requestBody),
+            });
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(
+                result.error?.message ||
+                'HTTP error! status: ' + response.status
+              );
+            }
+
+            this.preview = result;
+            this.previewInput = requestBody.input;
+            this.updateStatus('预览完成，共 ' + result.chunks.length + ' 个文本块', 'success');
+          } catch (error) {
+            console.error('Error previewing text:', error);
+            this.updateStatus('错误: ' + error.message, 'error');
+          } finally {
+            this.isLoading = false;
+            this.isPreviewing = false;
+          }
+        },
         async playStandard(baseUrl, apiKey, body) {
           const response = await fetch(baseUrl + '/v1/audio/speech', {
             method: 'POST',
@@ -1625,6 +7685,7 @@ function getHtmlContent() {
       mounted() {
         this.loadConfig();
         this.loadForm();
+        this.loadVoices();
       },
       beforeUnmount() {
         // 清理URL对象，避免内存泄漏